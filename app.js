@@ -1,30 +1,157 @@
-/* ─── Vietnamese Diacritics Removal ─────────────────────────────────────── */
+/* ─── Geo Helpers ───────────────────────────────────────────────────────── */
+
+// Coordinates are embedded in mapsUrl by the data pipeline
+function extractCoords(mapsUrl) {
+  if (!mapsUrl) return null;
+  const match = mapsUrl.match(/query=([-\d.]+),([-\d.]+)/);
+  if (!match) return null;
+  return { lat: parseFloat(match[1]), lon: parseFloat(match[2]) };
+}
+
+// Haversine distance (km)
+function haversine(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Accepts "21.03, 105.85" or a pasted Google Maps link ("query=21.03,105.85", "@21.03,105.85,15z")
+function parsePoint(text) {
+  const match = (text || "").match(/(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)/);
+  if (!match) return null;
+  const lat = parseFloat(match[1]);
+  const lon = parseFloat(match[2]);
+  if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { lat, lon };
+}
+
+function formatDistance(km) {
+  return (km < 10 ? km.toFixed(1) : Math.round(km)) + " km";
+}
+
+/* ─── Specialties ───────────────────────────────────────────────────────── */
+
+// Labels for the `specialties` ids assigned by scripts/specialties.js (same order)
+const SPECIALTY_LABELS = {
+  pediatrics: "Nhi",
+  obstetrics: "Phụ sản",
+  oncology: "Ung bướu",
+  ophthalmology: "Mắt",
+  psychiatry: "Tâm thần",
+  traditional: "Y học cổ truyền",
+  dentistry: "Răng hàm mặt",
+  ent: "Tai mũi họng",
+  dermatology: "Da liễu",
+  pulmonology: "Lao và bệnh phổi",
+  cardiology: "Tim mạch",
+  endocrinology: "Nội tiết",
+  nephrology: "Thận",
+  orthopedics: "Chấn thương chỉnh hình",
+  burns: "Bỏng",
+  rehabilitation: "Phục hồi chức năng",
+  geriatrics: "Lão khoa",
+  infectious: "Bệnh nhiệt đới",
+  hematology: "Huyết học - Truyền máu",
+  cosmetic: "Thẩm mỹ",
+};
+
+function specialtyLabel(id) {
+  return SPECIALTY_LABELS[id] || id;
+}
+
+/* ─── Internationalization ─────────────────────────────────────────────── */
+
+// Catalogs are in messages.js. The language comes from ?lang=, else the last
+// one picked with the VI/EN switch, else Vietnamese; setLanguage() re-renders
+// in place.
+const LANGUAGE_KEY = "hospital-search:lang";
+const LANGUAGES = Object.keys(MESSAGES);
+
+let i18n = I18n.createTranslator(MESSAGES, I18n.pickLanguage(location.search, savedLanguage(), LANGUAGES));
+
+function t(key, params) {
+  return i18n.t(key, params);
+}
+
+function savedLanguage() {
+  try {
+    return localStorage.getItem(LANGUAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+// Shown specialty names; search keeps matching the Vietnamese labels
+function specialtyName(id) {
+  return i18n.has(`specialty.${id}`) ? t(`specialty.${id}`) : specialtyLabel(id);
+}
 
-function removeDiacritics(str) {
-  return str
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/đ/gi, "d");
+// "Quận 7" → "District 7" in English; values and filters stay Vietnamese
+function placeName(name) {
+  return i18n.placeName(name);
+}
+
+// Static text in index.html: data-i18n replaces an element's text (with
+// data-i18n-params as JSON), data-i18n-attr="attr:key,…" sets attributes
+function translatePage() {
+  document.documentElement.lang = i18n.lang;
+  for (const el of document.querySelectorAll("[data-i18n]")) {
+    el.textContent = t(el.dataset.i18n, el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {});
+  }
+  for (const el of document.querySelectorAll("[data-i18n-attr]")) {
+    for (const pair of el.dataset.i18nAttr.split(",")) {
+      const [attr, key] = pair.split(":");
+      el.setAttribute(attr, t(key));
+    }
+  }
 }
 
 /* ─── Combobox Component ───────────────────────────────────────────────── */
 
-function createCombobox(container, options) {
+// Marks the first diacritic-insensitive occurrence of an ASCII query in a label
+function highlightMatch(label, query) {
+  if (!query) return escapeHTML(label);
+  const ascii = removeDiacritics(label.toLowerCase());
+  const idx = ascii.indexOf(query);
+  if (idx === -1) return escapeHTML(label);
+  const before = label.slice(0, idx);
+  const match = label.slice(idx, idx + query.length);
+  const after = label.slice(idx + query.length);
+  return escapeHTML(before) + "<mark>" + escapeHTML(match) + "</mark>" + escapeHTML(after);
+}
+
+// WAI-ARIA combobox: focus stays in the input while the arrow keys move a
+// highlighted option, announced through aria-activedescendant. The input's
+// static role/aria-* attributes are in index.html.
+// options.getLabel(value) → shown text (defaults to the value); typing
+// matches either.
+function createCombobox(container, options = {}) {
   const input = container.querySelector("input");
   const clearBtn = container.querySelector(".combo-clear");
   const list = container.querySelector(".combo-list");
+  const getLabel = options.getLabel || ((value) => value);
 
-  let allOptions = []; // [{value, label, ascii}]
+  let allOptions = []; // [{value, label, ascii, valueAscii}]
   let selectedValue = "";
   let activeIndex = -1;
   let isOpen = false;
 
   function setOptions(opts) {
-    allOptions = opts.map((o) => ({
-      value: o,
-      label: o,
-      ascii: removeDiacritics(o.toLowerCase()),
-    }));
+    allOptions = opts.map((o) => {
+      const label = getLabel(o);
+      return {
+        value: o,
+        label,
+        ascii: removeDiacritics(label.toLowerCase()),
+        valueAscii: removeDiacritics(o.toLowerCase()),
+      };
+    });
   }
 
   function open() {
@@ -32,39 +159,62 @@ function createCombobox(container, options) {
     isOpen = true;
     renderList(input.value);
     list.classList.remove("hidden");
+    input.setAttribute("aria-expanded", "true");
   }
 
   function close() {
     isOpen = false;
     activeIndex = -1;
     list.classList.add("hidden");
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
   }
 
-  function select(value) {
+  function select(value, silent) {
+    const changed = value !== selectedValue;
     selectedValue = value;
-    input.value = value;
+    input.value = value ? getLabel(value) : "";
     input.classList.toggle("has-value", !!value);
     clearBtn.classList.toggle("hidden", !value);
     close();
-    container.dispatchEvent(new Event("change"));
+    if (!silent && changed) container.dispatchEvent(new Event("change"));
+  }
+
+  // Puts the current selection's text back after an abandoned edit
+  function restore() {
+    input.value = selectedValue ? getLabel(selectedValue) : "";
+    input.classList.toggle("has-value", !!selectedValue);
+    clearBtn.classList.toggle("hidden", !selectedValue);
+  }
+
+  // Finds the option matching free text diacritic-insensitively ("ha-noi" → "Hà Nội")
+  function match(text) {
+    const query = removeDiacritics((text || "").toLowerCase())
+      .replace(/[-_+]/g, " ")
+      .trim();
+    if (!query) return "";
+    const found = allOptions.find((o) => o.ascii === query || o.valueAscii === query);
+    return found ? found.value : "";
   }
 
   function renderList(filter) {
     const query = removeDiacritics((filter || "").toLowerCase().trim());
     const filtered = query
-      ? allOptions.filter((o) => o.ascii.includes(query))
+      ? allOptions.filter((o) => o.ascii.includes(query) || o.valueAscii.includes(query))
       : allOptions;
 
+    activeIndex = -1;
+    input.removeAttribute("aria-activedescendant");
+
     if (filtered.length === 0) {
-      list.innerHTML = '<div class="combo-empty">Không tìm thấy</div>';
-      activeIndex = -1;
+      list.innerHTML = '<div class="combo-empty" role="option" aria-disabled="true" aria-selected="false">' + escapeHTML(t("combo.noMatch")) + "</div>";
       return;
     }
 
     list.innerHTML = filtered
       .map((o, i) => {
         const highlighted = highlightMatch(o.label, query);
-        return `<div class="combo-item${i === activeIndex ? " active" : ""}" data-value="${escapeAttr(o.value)}">${highlighted}</div>`;
+        return `<div class="combo-item" role="option" id="${list.id}-${i}" aria-selected="false" data-value="${escapeAttr(o.value)}">${highlighted}</div>`;
       })
       .join("");
 
@@ -77,25 +227,14 @@ function createCombobox(container, options) {
     });
   }
 
-  function highlightMatch(label, query) {
-    if (!query) return escapeHTML(label);
-    const ascii = removeDiacritics(label.toLowerCase());
-    const idx = ascii.indexOf(query);
-    if (idx === -1) return escapeHTML(label);
-    const before = label.slice(0, idx);
-    const match = label.slice(idx, idx + query.length);
-    const after = label.slice(idx + query.length);
-    return escapeHTML(before) + "<mark>" + escapeHTML(match) + "</mark>" + escapeHTML(after);
-  }
-
   // Events
   input.addEventListener("focus", () => {
     open();
   });
 
   input.addEventListener("input", () => {
-    selectedValue = ""; // clear selection while typing
-    input.classList.remove("has-value");
+    // The selection stands until something else is committed
+    input.classList.toggle("has-value", !!selectedValue && input.value === getLabel(selectedValue));
     activeIndex = -1;
     open();
     renderList(input.value);
@@ -103,22 +242,28 @@ function createCombobox(container, options) {
     container.dispatchEvent(new Event("input"));
   });
 
+  // Leaving the field commits text that names an option exactly, clears the
+  // selection if the text was erased, and otherwise puts the selection back.
+  // Runs at once — options keep focus on mousedown, so no delay is needed.
   input.addEventListener("blur", () => {
-    // If typed text doesn't match any option, revert
-    setTimeout(() => {
-      if (!selectedValue) {
-        input.value = "";
-        clearBtn.classList.add("hidden");
-        container.dispatchEvent(new Event("change"));
-      }
-      close();
-    }, 150);
+    close();
+    if (!input.value.trim()) {
+      select("");
+    } else if (input.value !== getLabel(selectedValue)) {
+      const value = match(input.value);
+      if (value) select(value);
+      else restore();
+    }
   });
 
   input.addEventListener("keydown", (e) => {
     const items = list.querySelectorAll(".combo-item");
     if (e.key === "ArrowDown") {
       e.preventDefault();
+      if (!isOpen) {
+        open();
+        return;
+      }
       activeIndex = Math.min(activeIndex + 1, items.length - 1);
       updateActive(items);
     } else if (e.key === "ArrowUp") {
@@ -129,16 +274,23 @@ function createCombobox(container, options) {
       e.preventDefault();
       if (activeIndex >= 0 && items[activeIndex]) {
         select(items[activeIndex].dataset.value);
+      } else if (match(input.value)) {
+        select(match(input.value));
       }
     } else if (e.key === "Escape") {
-      close();
-      input.blur();
+      // First Escape closes the list, a second one undoes the edit
+      if (isOpen) close();
+      else restore();
     }
   });
 
   function updateActive(items) {
-    items.forEach((el, i) => el.classList.toggle("active", i === activeIndex));
+    items.forEach((el, i) => {
+      el.classList.toggle("active", i === activeIndex);
+      el.setAttribute("aria-selected", String(i === activeIndex));
+    });
     if (items[activeIndex]) {
+      input.setAttribute("aria-activedescendant", items[activeIndex].id);
       items[activeIndex].scrollIntoView({ block: "nearest" });
     }
   }
@@ -151,11 +303,123 @@ function createCombobox(container, options) {
   return {
     setOptions,
     getValue: () => selectedValue,
-    setValue: (v) => select(v),
+    setValue: (v, silent) => select(v, silent),
+    match,
     clear: () => select(""),
   };
 }
 
+/* ─── Suggestion List Component ─────────────────────────────────────────── */
+
+// Autocomplete panel under a free-text input. Same interaction model as the
+// comboboxes (arrows move, Enter picks, Escape closes, mousedown keeps focus),
+// plus grouped options and ARIA combobox/listbox wiring.
+// getGroups() → [{label, items: [{html, ...}]}]; onSelect(item) on pick.
+// Enter on a highlighted option is handled here and its default prevented,
+// so other Enter handlers on the input should check e.defaultPrevented.
+function createSuggestionList(input, list, { getGroups, onSelect }) {
+  let items = [];
+  let activeIndex = -1;
+  let isOpen = false;
+
+  function open() {
+    render();
+    if (items.length === 0) {
+      close();
+      return;
+    }
+    isOpen = true;
+    list.classList.remove("hidden");
+    input.setAttribute("aria-expanded", "true");
+  }
+
+  function close() {
+    isOpen = false;
+    activeIndex = -1;
+    list.classList.add("hidden");
+    input.setAttribute("aria-expanded", "false");
+    input.removeAttribute("aria-activedescendant");
+  }
+
+  function render() {
+    const groups = getGroups().filter((g) => g.items.length > 0);
+    items = groups.flatMap((g) => g.items);
+    activeIndex = -1;
+    input.removeAttribute("aria-activedescendant");
+
+    let index = 0;
+    list.innerHTML = groups
+      .map((g, gi) => {
+        const headingId = `${list.id}-group-${gi}`;
+        const options = g.items
+          .map((item) => {
+            const i = index++;
+            return `<div class="combo-item" role="option" id="${list.id}-${i}" data-index="${i}" aria-selected="false">${item.html}</div>`;
+          })
+          .join("");
+        return `<div role="group" aria-labelledby="${headingId}"><div class="suggest-group" id="${headingId}">${escapeHTML(g.label)}</div>${options}</div>`;
+      })
+      .join("");
+
+    list.querySelectorAll(".combo-item").forEach((el) => {
+      el.addEventListener("mousedown", (e) => {
+        e.preventDefault(); // prevent input blur
+        choose(Number(el.dataset.index));
+      });
+    });
+  }
+
+  function choose(index) {
+    const item = items[index];
+    close();
+    if (item) onSelect(item);
+  }
+
+  function updateActive() {
+    list.querySelectorAll(".combo-item").forEach((el, i) => {
+      el.classList.toggle("active", i === activeIndex);
+      el.setAttribute("aria-selected", i === activeIndex);
+      if (i === activeIndex) {
+        input.setAttribute("aria-activedescendant", el.id);
+        el.scrollIntoView({ block: "nearest" });
+      }
+    });
+  }
+
+  input.addEventListener("focus", open);
+  input.addEventListener("blur", close);
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      if (!isOpen) {
+        open();
+        return;
+      }
+      activeIndex = Math.min(activeIndex + 1, items.length - 1);
+      updateActive();
+    } else if (e.key === "ArrowUp" && isOpen) {
+      e.preventDefault();
+      activeIndex = Math.max(activeIndex - 1, 0);
+      updateActive();
+    } else if (e.key === "Enter" && isOpen && activeIndex >= 0) {
+      e.preventDefault();
+      choose(activeIndex);
+    } else if (e.key === "Escape" && isOpen) {
+      e.preventDefault();
+      close();
+    }
+  });
+
+  return {
+    // Re-renders for the current input; opens only while the input has focus
+    refresh() {
+      if (document.activeElement === input) open();
+    },
+    close,
+  };
+}
+
 /* ─── DOM refs ──────────────────────────────────────────────────────────── */
 
 const searchInput = document.getElementById("searchInput");
@@ -164,288 +428,2070 @@ const publicList = document.getElementById("publicList");
 const privateList = document.getElementById("privateList");
 const publicCount = document.getElementById("publicCount");
 const privateCount = document.getElementById("privateCount");
-const unclassifiedSection = document.getElementById("unclassifiedSection");
-const unclassifiedList = document.getElementById("unclassifiedList");
-const unclassifiedCount = document.getElementById("unclassifiedCount");
-const toggleUnclassified = document.getElementById("toggleUnclassified");
+const dataBanner = document.getElementById("dataBanner");
+const resultBar = document.getElementById("resultBar");
 const resultSummary = document.getElementById("resultSummary");
+const liveStatus = document.getElementById("liveStatus");
+const sortSelect = document.getElementById("sortSelect");
+const suggestionsEl = document.getElementById("searchSuggestions");
 const emptyState = document.getElementById("emptyState");
 const loadingEl = document.getElementById("loading");
-
-const provinceCombo = createCombobox(document.getElementById("provinceCombo"));
-const districtCombo = createCombobox(document.getElementById("districtCombo"));
+const nearMeBtn = document.getElementById("nearMeBtn");
+const nearMePanel = document.getElementById("nearMePanel");
+const radiusSelect = document.getElementById("radiusSelect");
+const manualPointInput = document.getElementById("manualPoint");
+const nearMeStatus = document.getElementById("nearMeStatus");
+const mapToggle = document.getElementById("mapToggle");
+const mapPanel = document.getElementById("mapPanel");
+const adminModeBtns = document.querySelectorAll(".admin-mode button");
+const languageBtns = document.querySelectorAll(".lang-switch button");
+const filterChips = document.querySelectorAll("#filterChips .chip[data-group]");
+const specialtyFilter = document.getElementById("specialtyFilter");
+const specialtyList = specialtyFilter.querySelector(".specialty-list");
+const specialtySummary = specialtyFilter.querySelector(".specialty-summary");
+const detailModal = document.getElementById("detailModal");
+const detailBody = document.getElementById("detailBody");
+
+const provinceCombo = createCombobox(document.getElementById("provinceCombo"), { getLabel: placeName });
+const districtCombo = createCombobox(document.getElementById("districtCombo"), { getLabel: placeName });
 
 /* ─── State ─────────────────────────────────────────────────────────────── */
 
 let allHospitals = [];
-let fuse = null;
+let hospitalsById = new Map();
+let dataUpdatedAt = ""; // build time of the search bundle (or Last-Modified of hospitals.json)
+let searchReady = false;
 let debounceTimer = null;
+let matchesById = new Map(); // hospital id → Fuse matches for the current query
+let queryTokens = []; // normalized words of the current query, for highlighting
+let queryVocab = null; // lookup tables for SearchQuery.parseSearchQuery()
+let queryText = ""; // search text left once locations/types are pulled out
+// Filters set from the search text rather than by hand, so they can be
+// withdrawn again when the text that produced them is edited away.
+// `admin` is the mode to return to if the text switched it.
+let parsedFilters = { admin: "", province: "", district: "", types: [] };
+let userLocation = null; // {lat, lon} — set by "Gần tôi" mode
+let radiusKm = 0; // 0 = no radius limit
+let sortMode = "relevance"; // relevance | name | district | distance
+let currentResults = []; // hospitals plotted on the map
+let restoringURL = false; // true while state is being applied from the URL
+let detailId = ""; // id of the hospital shown in the detail modal
+let detailOpener = null; // element focused before the detail modal opened
+let activeTypes = new Set(); // selected type chips; empty = all types
+let activeKinds = new Set(); // selected kind chips; empty = all kinds
+let activeSpecialties = new Set(); // selected specialties; empty = any
+let adminMode = "old"; // "old" = 63 provinces / districts, "new" = 34 provinces / wards (2025 reform)
 
 /* ─── Init ──────────────────────────────────────────────────────────────── */
 
 async function init() {
   try {
-    const res = await fetch("data/hospitals.json");
-    if (!res.ok) throw new Error("Failed to load data");
-    allHospitals = await res.json();
-
-    // Build Fuse index — name-heavy, location as secondary
-    fuse = new Fuse(allHospitals, {
-      keys: [
-        { name: "name", weight: 4 },
-        { name: "nameAscii", weight: 4 },
-        { name: "oldDistrict", weight: 2 },
-        { name: "oldProvince", weight: 1.5 },
-        { name: "aliases", weight: 1.5 },
-        { name: "aliasesAscii", weight: 1.5 },
-        { name: "newWard", weight: 0.5 },
-        { name: "newProvince", weight: 0.5 },
-        { name: "address", weight: 0.5 },
-      ],
-      threshold: 0.35,
-      distance: 200,
-      ignoreLocation: true,
-      includeScore: true,
-    });
+    const [bundle, districtAliases] = await Promise.all([
+      loadSearchBundle().then((b) => b || loadRawData()),
+      loadDistrictAliases(),
+    ]);
+    allHospitals = bundle.hospitals;
+    dataUpdatedAt = bundle.updatedAt;
+    showDataStatus();
+    for (const h of allHospitals) {
+      h.id = HospitalId.hospitalId(h);
+      h.coords = extractCoords(h.mapsUrl);
+      h.specialties = h.specialties || [];
+      h.kinds = SearchFilter.classifyKinds(h);
+      hospitalsById.set(h.id, h);
+    }
+    // Records merged into another (scripts/dedupe.js) keep their links and
+    // favorites working
+    for (const h of allHospitals) {
+      for (const id of h.formerIds || []) {
+        if (!hospitalsById.has(id)) hospitalsById.set(id, h);
+      }
+    }
+
+    favorites = loadFavorites();
+    syncFavorites();
+
+    initSearch(bundle.index);
+    queryVocab = SearchQuery.buildQueryVocabulary(allHospitals, districtAliases);
+    searchReady = true;
 
     populateFilters();
+    populateSpecialties();
     loadingEl.classList.add("hidden");
-    showWelcome();
+    restoreFromURL();
   } catch (err) {
     loadingEl.innerHTML =
-      '<p style="color:#e11d48">Không thể tải dữ liệu. Vui lòng thử lại sau.</p>';
+      `<p style="color:#e11d48">${escapeHTML(t("app.loadError"))}</p>`;
     console.error(err);
   }
 }
 
+// Compact dataset + serialized Fuse index from scripts/build-index.js.
+// Returns null when the bundle hasn't been built, so init() can fall back.
+async function loadSearchBundle() {
+  try {
+    const res = await fetch("data/search-manifest.json", { cache: "no-cache" });
+    if (!res.ok) return null;
+    const manifest = await res.json();
+    const [hospitals, index] = await Promise.all(
+      [manifest.data, manifest.index].map(async (file) => {
+        const r = await fetch("data/" + file);
+        if (!r.ok) throw new Error("Failed to load " + file);
+        return r.json();
+      }),
+    );
+    return { hospitals, index, updatedAt: manifest.generatedAt || "" };
+  } catch (err) {
+    console.warn("Search bundle unavailable, loading hospitals.json", err);
+    return null;
+  }
+}
+
+async function loadRawData() {
+  const res = await fetch("data/hospitals.json");
+  if (!res.ok) throw new Error("Failed to load data");
+  return {
+    hospitals: await res.json(),
+    index: null,
+    updatedAt: res.headers?.get("Last-Modified") || "",
+  };
+}
+
+// Full district names ("Quận Ba Đình") for the query parser — optional
+async function loadDistrictAliases() {
+  try {
+    const res = await fetch("data/district_aliases.json");
+    return res.ok ? await res.json() : {};
+  } catch (err) {
+    console.warn("District aliases unavailable", err);
+    return {};
+  }
+}
+
 /* ─── Populate Filter Dropdowns ─────────────────────────────────────────── */
 
+// Record fields and placeholder message keys used by the province/district
+// comboboxes in each mode
+const ADMIN_MODES = {
+  old: {
+    province: "oldProvince",
+    district: "oldDistrict",
+    provincePlaceholder: "admin.oldProvince",
+    districtPlaceholder: "admin.oldDistrict",
+  },
+  new: {
+    province: "newProvince",
+    district: "newWard",
+    provincePlaceholder: "admin.newProvince",
+    districtPlaceholder: "admin.newWard",
+  },
+};
+
 function populateFilters() {
-  // Collect old provinces (63 provinces)
+  const fields = ADMIN_MODES[adminMode];
+  labelCombobox("provinceCombo", t(fields.provincePlaceholder));
+  labelCombobox("districtCombo", t(fields.districtPlaceholder));
+
+  // Collect provinces (63 old or 34 new)
   const provinceSet = new Set();
   for (const h of allHospitals) {
-    if (h.oldProvince) provinceSet.add(h.oldProvince);
+    if (h[fields.province]) provinceSet.add(h[fields.province]);
   }
-  const provinces = [...provinceSet].sort((a, b) => a.localeCompare(b, "vi"));
+  const provinces = [...provinceSet].sort(byPlaceName);
   provinceCombo.setOptions(provinces);
 
   updateDistrictOptions();
 }
 
+// The placeholder doubles as the accessible name, which changes with the mode
+function labelCombobox(id, label) {
+  const input = document.querySelector(`#${id} input`);
+  input.placeholder = label;
+  input.setAttribute("aria-label", label);
+  document.getElementById(`${id}-list`).setAttribute("aria-label", label);
+  document.querySelector(`#${id} .combo-clear`).setAttribute("aria-label", t("combo.clear", { label }));
+}
+
+// Options in the order they're shown, which depends on the language
+function byPlaceName(a, b) {
+  return placeName(a).localeCompare(placeName(b), i18n.locale);
+}
+
 function updateDistrictOptions() {
+  const fields = ADMIN_MODES[adminMode];
   const selectedProvince = provinceCombo.getValue();
   const filtered = selectedProvince
-    ? allHospitals.filter((h) => h.oldProvince === selectedProvince)
+    ? allHospitals.filter((h) => h[fields.province] === selectedProvince)
     : allHospitals;
 
   const districtSet = new Set();
   for (const h of filtered) {
-    if (h.oldDistrict) districtSet.add(h.oldDistrict);
+    if (h[fields.district]) districtSet.add(h[fields.district]);
   }
-  const districts = [...districtSet].sort((a, b) => a.localeCompare(b, "vi"));
+  const districts = [...districtSet].sort(byPlaceName);
   districtCombo.setOptions(districts);
 }
 
 /* ─── Search & Filter ───────────────────────────────────────────────────── */
 
-function getFilteredResults() {
-  const query = searchInput.value.trim();
-  const province = provinceCombo.getValue();
-  const district = districtCombo.getValue();
+// Fuzzy matching and the province/district filters run in search-worker.js.
+// Every request gets a sequence number; responses to superseded requests are
+// dropped, so only the latest query ever renders.
+let searchWorker = null;
+let searchEngine = null; // in-page fallback when workers are unavailable
+let searchSeq = 0;
+let searchCallback = null;
+
+function initSearch(index) {
+  if (typeof Worker !== "undefined") {
+    try {
+      searchWorker = new Worker("search-worker.js");
+      searchWorker.addEventListener("message", (e) => handleSearchResponse(e.data));
+      searchWorker.addEventListener("error", (e) => {
+        // e.g. blocked worker scripts — search in the page instead
+        console.warn("Search worker failed, searching on the main thread", e);
+        searchWorker = null;
+        startInPageSearch(index);
+      });
+      searchWorker.postMessage({
+        type: "init",
+        hospitals: allHospitals,
+        index,
+        specialtyLabels: SPECIALTY_LABELS,
+      });
+      return;
+    } catch (err) {
+      console.warn("Search worker unavailable", err);
+    }
+  }
+  startInPageSearch(index);
+}
+
+function startInPageSearch(index) {
+  searchEngine = createSearchEngine(allHospitals, index, SPECIALTY_LABELS);
+  // Re-run a request the failed worker never answered
+  if (searchCallback) requestFilteredResults(searchCallback);
+}
+
+// Drop any in-flight request (e.g. when the welcome state takes over)
+function cancelSearch() {
+  searchSeq++;
+  searchCallback = null;
+}
 
-  let results;
+// Calls back with the filtered, sorted results for the current inputs
+function requestFilteredResults(callback) {
+  const query = queryText;
+  const request = {
+    type: "search",
+    seq: ++searchSeq,
+    query,
+    province: provinceCombo.getValue(),
+    district: districtCombo.getValue(),
+    fields: ADMIN_MODES[adminMode],
+  };
+  searchCallback = callback;
+  queryTokens = normalizeSearchText(query)
+    .split(" ")
+    .filter((t) => t.length >= 2);
 
-  if (query) {
-    const asciiQuery = removeDiacritics(query);
-    const fuseResults = fuse.search(asciiQuery);
-    results = fuseResults.map((r) => r.item);
+  if (searchWorker) {
+    searchWorker.postMessage(request);
   } else {
-    results = [...allHospitals];
+    const { ids, matches } = searchEngine.search(request);
+    handleSearchResponse({ type: "results", seq: request.seq, ids, matches });
   }
+}
 
-  // Hard filters: oldProvince and oldDistrict
-  if (province) {
-    results = results.filter((h) => h.oldProvince === province);
-  }
-  if (district) {
-    results = results.filter((h) => h.oldDistrict === district);
-  }
+function handleSearchResponse(response) {
+  if (response.type !== "results" || response.seq !== searchSeq || !searchCallback) return;
+  const callback = searchCallback;
+  searchCallback = null;
+  matchesById = new Map(response.matches);
+  updateSuggestedHospitals(queryText ? response.ids : []);
+  callback(filterByRadius(response.ids.map((id) => hospitalsById.get(id))));
+}
 
-  return results;
+// "Gần tôi": radius filter, then the selected sort order
+function filterByRadius(results) {
+  if (userLocation) results = SearchFilter.filterByRadius(results, distanceTo, radiusKm);
+  return sortResults(results);
 }
 
-const MAX_RESULTS = 50;
+/* ─── Structured Query ──────────────────────────────────────────────────── */
+
+// Location phrases, type words and operators (tinh:"Đà Nẵng", loai:tu) in the
+// search box become combobox/chip filters; only the rest is fuzzy-searched.
+// Runs on every edit, so filters set this way follow the text; filters picked
+// by hand are never overridden.
+function applySearchText(options = {}) {
+  const raw = searchInput.value.trim();
+  if (!queryVocab) {
+    queryText = raw;
+    return;
+  }
 
-/* ─── Welcome State ─────────────────────────────────────────────────────── */
+  const handPicked = (combo, parsed) => (combo.getValue() !== parsed ? combo.getValue() : "");
+  const manualProvince = handPicked(provinceCombo, parsedFilters.province);
+  const manualDistrict = handPicked(districtCombo, parsedFilters.district);
+  const canSwitch = options.switchAdmin !== false && !manualProvince && !manualDistrict;
+
+  // Withdraw what the previous text set
+  if (!manualDistrict) districtCombo.setValue("", true);
+  if (!manualProvince) provinceCombo.setValue("", true);
+  if (parsedFilters.admin && canSwitch) setAdminMode(parsedFilters.admin);
+  for (const type of parsedFilters.types) activeTypes.delete(type);
+  resetParsedFilters();
+
+  const parsed = SearchQuery.parseSearchQuery(raw, queryVocab, {
+    admin: adminMode,
+    province: manualProvince,
+    switchAdmin: canSwitch,
+  });
+  queryText = parsed.text;
 
-function showWelcome() {
-  publicList.innerHTML = "";
-  privateList.innerHTML = "";
-  publicCount.textContent = "0";
-  privateCount.textContent = "0";
-  unclassifiedSection.classList.add("hidden");
-  resultSummary.classList.add("hidden");
-  emptyState.classList.remove("hidden");
-  emptyState.innerHTML = `
-    <p>Tìm kiếm bệnh viện trên toàn quốc</p>
-    <p class="hint">${allHospitals.length} bệnh viện trong cơ sở dữ liệu. Nhập tên, chọn tỉnh hoặc quận/huyện để bắt đầu.</p>
-  `;
+  if (parsed.admin !== adminMode) {
+    parsedFilters.admin = adminMode;
+    setAdminMode(parsed.admin);
+  }
+  if (parsed.province && !manualProvince) {
+    provinceCombo.setValue(parsed.province, true);
+    parsedFilters.province = parsed.province;
+  }
+  updateDistrictOptions();
+  if (parsed.district && !manualDistrict) {
+    districtCombo.setValue(parsed.district, true);
+    parsedFilters.district = parsed.district;
+  }
+  for (const type of parsed.types) {
+    if (activeTypes.has(type)) continue;
+    activeTypes.add(type);
+    parsedFilters.types.push(type);
+  }
+  syncChips();
 }
 
-/* ─── Trigger search/render ─────────────────────────────────────────────── */
+// After restoring from the URL, filters the search text itself produces count
+// as parsed, so editing the text can withdraw them again
+function adoptParsedFilters() {
+  if (!queryVocab) return;
+  const parsed = SearchQuery.parseSearchQuery(searchInput.value.trim(), queryVocab, {
+    admin: adminMode,
+    province: "",
+    switchAdmin: false,
+  });
+  parsedFilters = {
+    admin: "",
+    province: parsed.province === provinceCombo.getValue() ? parsed.province : "",
+    district: parsed.district === districtCombo.getValue() ? parsed.district : "",
+    types: parsed.types.filter((type) => activeTypes.has(type)),
+  };
+}
 
-function triggerUpdate() {
-  const query = searchInput.value.trim();
-  const province = provinceCombo.getValue();
-  const district = districtCombo.getValue();
-  if (!query && !province && !district) {
-    showWelcome();
-  } else {
-    render(getFilteredResults());
-  }
+// Enter keeps the parsed filters and leaves only the free text in the box
+function commitSearchText() {
+  clearTimeout(debounceTimer);
+  applySearchText();
+  searchInput.value = queryText;
+  clearBtn.classList.toggle("hidden", !queryText);
+  resetParsedFilters();
+  triggerUpdate();
 }
 
-/* ─── Render ────────────────────────────────────────────────────────────── */
+function resetParsedFilters() {
+  parsedFilters = { admin: "", province: "", district: "", types: [] };
+}
 
-function render(hospitals) {
-  const pub = hospitals.filter((h) => h.type === "public");
-  const priv = hospitals.filter((h) => h.type === "private");
-  const unc = hospitals.filter((h) => h.type === "unclassified");
+/* ─── Recent Searches ───────────────────────────────────────────────────── */
 
-  publicCount.textContent = pub.length;
-  privateCount.textContent = priv.length;
-  unclassifiedCount.textContent = unc.length;
-
-  const pubCapped = pub.slice(0, MAX_RESULTS);
-  const privCapped = priv.slice(0, MAX_RESULTS);
-
-  publicList.innerHTML = pubCapped.map((h) => cardHTML(h)).join("") +
-    (pub.length > MAX_RESULTS ? `<p class="more-hint">và ${pub.length - MAX_RESULTS} bệnh viện khác...</p>` : "");
-  privateList.innerHTML = privCapped.map((h) => cardHTML(h)).join("") +
-    (priv.length > MAX_RESULTS ? `<p class="more-hint">và ${priv.length - MAX_RESULTS} bệnh viện khác...</p>` : "");
-
-  // Unclassified section
-  if (unc.length > 0) {
-    const uncCapped = unc.slice(0, MAX_RESULTS);
-    unclassifiedSection.classList.remove("hidden");
-    unclassifiedList.innerHTML = uncCapped.map((h) => cardHTML(h)).join("") +
-      (unc.length > MAX_RESULTS ? `<p class="more-hint">và ${unc.length - MAX_RESULTS} bệnh viện khác...</p>` : "");
-  } else {
-    unclassifiedSection.classList.add("hidden");
+// Kept in localStorage; storage can be unavailable (private mode, sandboxed
+// embeds), in which case history just isn't remembered
+const RECENT_SEARCHES_KEY = "hospital-search:recent";
+const MAX_RECENT_SEARCHES = 8;
+
+function loadRecentSearches() {
+  try {
+    const list = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+    return Array.isArray(list) ? list.filter((q) => typeof q === "string") : [];
+  } catch {
+    return [];
   }
+}
 
-  // Summary
-  const total = hospitals.length;
-  if (total > 0) {
-    resultSummary.textContent = `${total} bệnh viện`;
-    resultSummary.classList.remove("hidden");
-    emptyState.classList.add("hidden");
-  } else {
-    resultSummary.classList.add("hidden");
-    emptyState.classList.remove("hidden");
-    emptyState.innerHTML = `
-      <p>Không tìm thấy bệnh viện phù hợp.</p>
-      <p class="hint">Thử tìm kiếm với từ khoá khác hoặc bỏ bớt bộ lọc.</p>
-    `;
+function rememberSearch(query) {
+  const text = query.trim();
+  if (!text) return;
+  const key = removeDiacritics(text.toLowerCase());
+  const list = loadRecentSearches().filter((q) => removeDiacritics(q.toLowerCase()) !== key);
+  list.unshift(text);
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(list.slice(0, MAX_RECENT_SEARCHES)));
+  } catch {
+    // storage full or blocked
   }
+}
 
-  // Show/hide columns when empty
-  document.getElementById("publicCol").classList.toggle("hidden", pub.length === 0 && priv.length > 0);
-  document.getElementById("privateCol").classList.toggle("hidden", priv.length === 0 && pub.length > 0);
+function clearRecentSearches() {
+  try {
+    localStorage.removeItem(RECENT_SEARCHES_KEY);
+  } catch {
+    // storage blocked
+  }
 }
 
-function cardHTML(h) {
-  const typeClass =
-    h.type === "public"
-      ? "card-public"
-      : h.type === "private"
-      ? "card-private"
-      : "";
+// Runs a query as if typed and submitted — history entries in the welcome
+// state and the suggestion list
+function searchFor(query) {
+  searchInput.value = query;
+  rememberSearch(query);
+  clearBtn.classList.toggle("hidden", !searchInput.value);
+  clearTimeout(debounceTimer);
+  applySearchText();
+  triggerUpdate();
+}
 
-  const phonePart = h.phone
-    ? `<a href="tel:${h.phone.replace(/\s/g, "")}" class="phone-link">${h.phone}</a>`
-    : "";
+/* ─── Favorites ─────────────────────────────────────────────────────────── */
 
-  const mapPart = h.mapsUrl
-    ? `<a href="${h.mapsUrl}" target="_blank" rel="noopener">Bản đồ</a>`
-    : "";
+// Starred hospitals as {id, name}, newest first. The name is kept so an entry
+// can be found again if its id changes with the data (ids derive from name +
+// map link), and so exported files are readable.
+const FAVORITES_KEY = "hospital-search:favorites";
+const FAVORITES_FILE_VERSION = 1;
 
-  const webPart = h.website
-    ? `<a href="${h.website}" target="_blank" rel="noopener">Website</a>`
-    : "";
+let favorites = [];
+let favoriteIds = new Set(); // ids of favorites present in the loaded data
 
-  // Build location lines: old district name (familiar) + new ward (official)
-  const locParts = [];
-  if (h.oldDistrict) locParts.push(h.oldDistrict);
-  else if (h.district) locParts.push(h.district);
-  if (h.oldProvince) locParts.push(h.oldProvince);
-  else if (h.city) locParts.push(h.city);
-  const locationLine = locParts.length > 0 ? locParts.join(", ") : "";
+function loadFavorites() {
+  try {
+    return parseFavorites(JSON.parse(localStorage.getItem(FAVORITES_KEY)));
+  } catch {
+    return [];
+  }
+}
 
-  // Show new ward if different from old district
-  let newLocLine = "";
-  if (h.newWard && h.newWard !== h.oldDistrict) {
-    const newParts = [h.newWard];
-    if (h.newProvince && h.newProvince !== h.oldProvince) newParts.push(h.newProvince);
-    newLocLine = newParts.join(", ");
+function saveFavorites() {
+  try {
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify(favorites));
+  } catch {
+    // storage full or blocked — favorites last for this visit only
   }
+}
 
-  return `
-    <div class="card ${typeClass}">
-      <div class="card-name">${escapeHTML(h.name)}</div>
-      ${locationLine ? `<div class="card-location">${escapeHTML(locationLine)}</div>` : ""}
-      ${newLocLine ? `<div class="card-new-location">${escapeHTML(newLocLine)} (mới)</div>` : ""}
-      ${h.address ? `<div class="card-address">${escapeHTML(h.address)}</div>` : ""}
-      <div class="card-meta">
-        ${phonePart}${mapPart}${webPart}
-      </div>
-    </div>
-  `;
+// Accepts the export format ({version, favorites: [...]}) or a bare list;
+// entries may be {id, name} objects or plain ids
+function parseFavorites(data) {
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.favorites) ? data.favorites : null;
+  if (!list) return [];
+  return list
+    .map((e) => (typeof e === "string" ? { id: e, name: "" } : e))
+    .filter((e) => e && typeof e.id === "string")
+    .map((e) => ({ id: e.id, name: typeof e.name === "string" ? e.name : "" }));
 }
 
-function escapeHTML(str) {
-  const el = document.createElement("span");
-  el.textContent = str;
-  return el.innerHTML;
+// Looks an entry up by id, then by exact name if that is unique
+function resolveFavorite(entry) {
+  const h = hospitalsById.get(entry.id);
+  if (h || !entry.name) return h || null;
+  const named = allHospitals.filter((o) => o.name === entry.name);
+  return named.length === 1 ? named[0] : null;
 }
 
-function escapeAttr(str) {
-  return str.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+// Re-links entries to the loaded data; called once the hospitals are in
+function syncFavorites() {
+  favoriteIds = new Set();
+  for (const entry of favorites) {
+    const h = resolveFavorite(entry);
+    if (!h) continue;
+    entry.id = h.id;
+    entry.name = h.name;
+    favoriteIds.add(h.id);
+  }
 }
 
-/* ─── Event Listeners ───────────────────────────────────────────────────── */
+function favoriteHospitals() {
+  return favorites.map((e) => hospitalsById.get(e.id)).filter((h) => h && favoriteIds.has(h.id));
+}
 
-searchInput.addEventListener("input", () => {
-  clearBtn.classList.toggle("hidden", !searchInput.value);
-  clearTimeout(debounceTimer);
-  debounceTimer = setTimeout(triggerUpdate, 150);
-});
+function toggleFavorite(id) {
+  const h = hospitalsById.get(id);
+  if (!h) return;
+  if (favoriteIds.has(id)) {
+    favorites = favorites.filter((e) => e.id !== id);
+    favoriteIds.delete(id);
+  } else {
+    favorites.unshift({ id, name: h.name });
+    favoriteIds.add(id);
+  }
+  saveFavorites();
+  for (const btn of document.querySelectorAll(".fav-btn")) {
+    if (btn.dataset.id === id) setFavButtonState(btn, favoriteIds.has(id));
+  }
+}
 
-clearBtn.addEventListener("click", () => {
-  searchInput.value = "";
-  clearBtn.classList.add("hidden");
-  searchInput.focus();
-  triggerUpdate();
-});
+function favButtonHTML(h) {
+  const on = favoriteIds.has(h.id);
+  return `<button type="button" class="fav-btn${on ? " active" : ""}" data-id="${escapeAttr(h.id)}" aria-pressed="${on}" aria-label="${escapeAttr(t("fav.save", { name: h.name }))}" title="${escapeAttr(t(on ? "fav.remove" : "fav.add"))}">${on ? "★" : "☆"}</button>`;
+}
 
-document.getElementById("provinceCombo").addEventListener("change", () => {
-  // Province changed — update district options and clear district selection
-  districtCombo.clear();
-  updateDistrictOptions();
-  triggerUpdate();
+function setFavButtonState(btn, on) {
+  btn.classList.toggle("active", on);
+  btn.setAttribute("aria-pressed", String(on));
+  btn.title = t(on ? "fav.remove" : "fav.add");
+  btn.textContent = on ? "★" : "☆";
+}
+
+// Downloads the list so a team can share it
+function exportFavorites() {
+  const data = {
+    version: FAVORITES_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    favorites,
+  };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "benh-vien-da-luu.json";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Merges a shared file into the list: new entries go after the existing ones.
+// Resolves to {added, missing}; entries not in the loaded data are kept in
+// case a later dataset has them.
+async function importFavorites(file) {
+  let entries;
+  try {
+    entries = parseFavorites(JSON.parse(await file.text()));
+  } catch {
+    entries = [];
+  }
+  if (entries.length === 0) throw new Error(t("saved.invalidFile"));
+
+  const known = new Set(favorites.map((e) => e.id));
+  let added = 0;
+  let missing = 0;
+  for (const entry of entries) {
+    const h = resolveFavorite(entry);
+    const id = h ? h.id : entry.id;
+    if (!h) missing++;
+    if (known.has(id)) continue;
+    known.add(id);
+    favorites.push(h ? { id, name: h.name } : entry);
+    if (h) added++;
+  }
+  syncFavorites();
+  saveFavorites();
+  return { added, missing };
+}
+
+/* ─── Search Suggestions ────────────────────────────────────────────────── */
+
+const SUGGESTED_HOSPITALS = 5;
+const SUGGESTED_LOCATIONS = 4;
+const SUGGESTED_RECENT = 3; // while typing; all of them on an empty box
+
+let suggestedHospitals = []; // best fuzzy matches of the latest search
+let locationOptionsCache = { mode: "", list: [] };
+
+const searchSuggestions = createSuggestionList(searchInput, suggestionsEl, {
+  getGroups: suggestionGroups,
+  onSelect: selectSuggestion,
+});
+
+// Called with the ranked ids of each search response. Fuse ranks on every
+// field, so names containing the most typed words win; with none (typos),
+// the top few fuzzy matches are offered as-is.
+function updateSuggestedHospitals(ids) {
+  const ranked = ids.slice(0, 30).map((id) => {
+    const h = hospitalsById.get(id);
+    const name = " " + normalizeSearchText(h.name);
+    return { h, words: queryTokens.filter((t) => name.includes(" " + t)).length };
+  });
+  const best = Math.max(0, ...ranked.map((r) => r.words));
+  suggestedHospitals = (best > 0 ? ranked.filter((r) => r.words === best) : ranked.slice(0, 3))
+    .slice(0, SUGGESTED_HOSPITALS)
+    .map((r) => r.h);
+  searchSuggestions.refresh();
+}
+
+function suggestionGroups() {
+  const raw = searchInput.value.trim();
+  const recent = loadRecentSearches();
+  if (!raw) {
+    return [{ label: t("suggest.recent"), items: recent.map(recentItem) }];
+  }
+  const ascii = removeDiacritics(raw.toLowerCase());
+  return [
+    { label: t("suggest.hospitals"), items: suggestedHospitals.map(hospitalItem) },
+    { label: t("suggest.locations"), items: locationSuggestions(raw) },
+    {
+      label: t("suggest.recent"),
+      items: recent
+        .filter((q) => q !== raw && removeDiacritics(q.toLowerCase()).includes(ascii))
+        .slice(0, SUGGESTED_RECENT)
+        .map(recentItem),
+    },
+  ];
+}
+
+function hospitalItem(h) {
+  const fields = ADMIN_MODES[adminMode];
+  const where = [h[fields.district], h[fields.province]].filter(Boolean).map(placeName).join(", ");
+  return {
+    kind: "hospital",
+    id: h.id,
+    html: `${highlightRanges(h.name, tokenRanges(h.name))}<span class="suggest-hint">${escapeHTML(where)}</span>`,
+  };
+}
+
+function recentItem(query) {
+  return { kind: "recent", query, html: `<span class="suggest-recent">${escapeHTML(query)}</span>` };
+}
+
+// Provinces and districts (wards in "new" mode) of the current admin mode
+function locationOptions() {
+  if (locationOptionsCache.mode === adminMode) return locationOptionsCache.list;
+  const fields = ADMIN_MODES[adminMode];
+  const seen = new Set();
+  const list = [];
+  for (const h of allHospitals) {
+    const province = h[fields.province];
+    const district = h[fields.district];
+    if (province && !seen.has(province)) {
+      seen.add(province);
+      list.push({ province, district: "", label: province });
+    }
+    if (district && !seen.has(province + "|" + district)) {
+      seen.add(province + "|" + district);
+      list.push({ province, district, label: district });
+    }
+  }
+  for (const o of list) o.ascii = removeDiacritics(o.label.toLowerCase());
+  // Provinces first, then districts, each alphabetically
+  list.sort((a, b) => Boolean(a.district) - Boolean(b.district) || a.label.localeCompare(b.label, "vi"));
+  locationOptionsCache = { mode: adminMode, list };
+  return list;
+}
+
+// Locations whose name starts with the last words typed ("nhi gò v" → Gò Vấp);
+// picking one moves those words into the comboboxes
+function locationSuggestions(raw) {
+  const words = raw.split(/\s+/);
+  for (let n = Math.min(3, words.length); n >= 1; n--) {
+    const tail = removeDiacritics(words.slice(-n).join(" ").toLowerCase());
+    if (tail.length < 2) continue;
+    const found = locationOptions()
+      .filter((o) => o.ascii.startsWith(tail) || o.ascii.includes(" " + tail))
+      .filter((o) => o.label !== provinceCombo.getValue() && o.label !== districtCombo.getValue())
+      .slice(0, SUGGESTED_LOCATIONS);
+    if (found.length === 0) continue;
+
+    const fields = ADMIN_MODES[adminMode];
+    return found.map((o) => ({
+      kind: "location",
+      province: o.province,
+      district: o.district,
+      words: n,
+      html: `${highlightMatch(placeName(o.label), tail)}<span class="suggest-hint">${escapeHTML(
+        o.district ? `${t(fields.districtPlaceholder)} · ${placeName(o.province)}` : t(fields.provincePlaceholder),
+      )}</span>`,
+    }));
+  }
+  return [];
+}
+
+function selectSuggestion(item) {
+  if (item.kind === "hospital") {
+    rememberSearch(searchInput.value);
+    openDetail(item.id);
+    syncURL();
+    return;
+  }
+
+  if (item.kind === "recent") {
+    searchFor(item.query);
+    return;
+  }
+
+  searchInput.value = searchInput.value.trim().split(/\s+/).slice(0, -item.words).join(" ");
+  // Chosen from the list, so these count as picked by hand
+  parsedFilters.province = "";
+  parsedFilters.district = "";
+  provinceCombo.setValue(item.province, true);
+  updateDistrictOptions();
+  districtCombo.setValue(item.district, true);
+  clearBtn.classList.toggle("hidden", !searchInput.value);
+  clearTimeout(debounceTimer);
+  applySearchText();
+  triggerUpdate();
+}
+
+/* ─── Sorting ───────────────────────────────────────────────────────────── */
+
+// Sorting happens before results are split by type, so each column keeps the order.
+// "relevance" keeps Fuse score order (or the dataset's city → district → name order).
+function sortResults(results) {
+  const byName = (a, b) => a.name.localeCompare(b.name, "vi");
+
+  if (sortMode === "name") {
+    return results.sort(byName);
+  }
+  if (sortMode === "district") {
+    const field = ADMIN_MODES[adminMode].district;
+    return results.sort((a, b) => {
+      // Hospitals without a district go last
+      if (!a[field] !== !b[field]) return a[field] ? -1 : 1;
+      return (a[field] || "").localeCompare(b[field] || "", "vi") || byName(a, b);
+    });
+  }
+  if (sortMode === "distance" && userLocation) {
+    return results.sort((a, b) => {
+      const da = distanceTo(a);
+      const db = distanceTo(b);
+      if (da === null) return db === null ? 0 : 1;
+      if (db === null) return -1;
+      return da - db;
+    });
+  }
+  return results;
+}
+
+const SORT_MODES = ["relevance", "name", "district", "distance"];
+
+function setSortMode(mode) {
+  // Distance is only meaningful once a location is known
+  sortMode = mode === "distance" && !userLocation ? "relevance" : mode;
+  sortSelect.value = sortMode;
+  sortSelect.querySelector('option[value="distance"]').disabled = !userLocation;
+}
+
+sortSelect.addEventListener("change", () => {
+  setSortMode(sortSelect.value);
+  triggerUpdate();
+});
+
+/* ─── Filter Chips ──────────────────────────────────────────────────────── */
+
+function chipFilters() {
+  return { types: activeTypes, kinds: activeKinds, specialties: activeSpecialties };
+}
+
+// Chips and the specialty multi-select narrow the search/location results
+function filterByChips(results) {
+  return SearchFilter.filterByChips(results, chipFilters());
+}
+
+// Faceted counts (see SearchFilter.chipCounts)
+function updateChipCounts(results) {
+  const counts = SearchFilter.chipCounts(results, chipFilters());
+  filterChips.forEach((chip) => {
+    const count = counts[chip.dataset.group][chip.dataset.value] || 0;
+    chip.querySelector(".chip-count").textContent = count;
+    chip.classList.toggle("empty", count === 0);
+  });
+  specialtyList.querySelectorAll("label").forEach((label) => {
+    const count = counts.specialty[label.dataset.value] || 0;
+    label.querySelector(".chip-count").textContent = count;
+    label.classList.toggle("empty", count === 0);
+  });
+}
+
+function syncChips() {
+  filterChips.forEach((chip) => {
+    const set = chip.dataset.group === "type" ? activeTypes : activeKinds;
+    const active = set.has(chip.dataset.value);
+    chip.classList.toggle("active", active);
+    chip.setAttribute("aria-pressed", active);
+  });
+  specialtyList.querySelectorAll("input").forEach((cb) => {
+    cb.checked = activeSpecialties.has(cb.value);
+  });
+  specialtyFilter.classList.toggle("active", activeSpecialties.size > 0);
+  specialtySummary.textContent = activeSpecialties.size === 0
+    ? t("specialties.label")
+    : activeSpecialties.size === 1
+    ? specialtyName([...activeSpecialties][0])
+    : t("specialties.count", { count: activeSpecialties.size });
+}
+
+function populateSpecialties() {
+  specialtyList.innerHTML = Object.keys(SPECIALTY_LABELS)
+    .map((id) => `
+      <label data-value="${id}">
+        <input type="checkbox" value="${id}" />
+        <span>${escapeHTML(specialtyName(id))}</span>
+        <span class="chip-count">0</span>
+      </label>`)
+    .join("");
+}
+
+specialtyList.addEventListener("change", (e) => {
+  const cb = e.target;
+  if (cb.checked) activeSpecialties.add(cb.value);
+  else activeSpecialties.delete(cb.value);
+  syncChips();
+  triggerUpdate();
+});
+
+// Close the specialty dropdown when clicking elsewhere
+document.addEventListener("click", (e) => {
+  if (specialtyFilter.open && !specialtyFilter.contains(e.target)) {
+    specialtyFilter.open = false;
+  }
+});
+
+filterChips.forEach((chip) => {
+  chip.addEventListener("click", () => {
+    const set = chip.dataset.group === "type" ? activeTypes : activeKinds;
+    const value = chip.dataset.value;
+    // A type chip clicked by hand is no longer tied to the search text
+    if (set === activeTypes) parsedFilters.types = parsedFilters.types.filter((t) => t !== value);
+    if (set.has(value)) set.delete(value);
+    else set.add(value);
+    syncChips();
+    triggerUpdate();
+  });
+});
+
+function distanceTo(h) {
+  if (!userLocation || !h.coords) return null;
+  return haversine(userLocation.lat, userLocation.lon, h.coords.lat, h.coords.lon);
+}
+
+/* ─── Welcome State ─────────────────────────────────────────────────────── */
+
+function showWelcome() {
+  for (const type of Object.keys(columns)) setColumn(type, []);
+  publicCount.textContent = "0";
+  privateCount.textContent = "0";
+  resultBar.classList.add("hidden");
+  emptyState.classList.remove("hidden");
+  matchesById = new Map(); // no query, so nothing to highlight on saved cards
+  emptyState.innerHTML = `
+    <p>${escapeHTML(t("welcome.title"))}</p>
+    <p class="hint">${escapeHTML(t("welcome.hint", { count: allHospitals.length }))}</p>
+    ${recentSearchesHTML()}
+    ${savedHTML()}
+  `;
+  updateChipCounts(allHospitals);
+  updateMap(allHospitals);
+}
+
+function isWelcomeShown() {
+  return Boolean(emptyState.querySelector(".saved-section"));
+}
+
+function recentSearchesHTML() {
+  const recent = loadRecentSearches();
+  if (recent.length === 0) return "";
+  return `
+    <div class="welcome-recent">
+      <span class="welcome-label">${escapeHTML(t("welcome.recent"))}</span>
+      ${recent.map((q) => `<button type="button" class="recent-query" data-query="${escapeAttr(q)}">${escapeHTML(q)}</button>`).join("")}
+      <button type="button" class="link-btn" data-action="clear-recent">${escapeHTML(t("welcome.clearRecent"))}</button>
+    </div>
+  `;
+}
+
+// "Đã lưu": starred hospitals plus export/import of the list
+function savedHTML() {
+  const saved = favoriteHospitals();
+  const unavailable = favorites.length - saved.length;
+  const body =
+    saved.length > 0
+      ? `<div class="card-list saved-list">${saved.map(cardHTML).join("")}</div>`
+      : `<p class="hint">${escapeHTML(t("saved.empty"))}</p>`;
+  return `
+    <section class="saved-section">
+      <div class="saved-header">
+        <h2>${escapeHTML(t("saved.title"))} <span class="count">${saved.length}</span></h2>
+        <div class="saved-actions">
+          <button type="button" class="link-btn" data-action="export-favorites"${favorites.length === 0 ? " disabled" : ""}>${escapeHTML(t("saved.export"))}</button>
+          <label class="link-btn">${escapeHTML(t("saved.import"))}<input type="file" class="import-input" accept=".json,application/json" hidden /></label>
+        </div>
+      </div>
+      <p class="saved-status" role="status">${unavailable > 0 ? escapeHTML(t("saved.unavailable", { count: unavailable })) : ""}</p>
+      ${body}
+    </section>
+  `;
+}
+
+emptyState.addEventListener("click", (e) => {
+  const recent = e.target.closest(".recent-query");
+  if (recent) {
+    searchFor(recent.dataset.query);
+    return;
+  }
+  const action = e.target.closest("[data-action]")?.dataset.action;
+  if (action === "clear-recent") {
+    clearRecentSearches();
+    showWelcome();
+  } else if (action === "export-favorites") {
+    exportFavorites();
+  }
+});
+
+emptyState.addEventListener("change", async (e) => {
+  if (!e.target.classList.contains("import-input")) return;
+  const file = e.target.files[0];
+  if (!file) return;
+  let message;
+  try {
+    const { added, missing } = await importFavorites(file);
+    message = t(missing > 0 ? "saved.importedMissing" : "saved.imported", { count: added, missing });
+  } catch (err) {
+    message = err.message;
+  }
+  if (!isWelcomeShown()) return;
+  showWelcome();
+  emptyState.querySelector(".saved-status").textContent = message;
+});
+
+/* ─── Trigger search/render ─────────────────────────────────────────────── */
+
+function triggerUpdate() {
+  const query = searchInput.value.trim();
+  const province = provinceCombo.getValue();
+  const district = districtCombo.getValue();
+  const hasChips = activeTypes.size > 0 || activeKinds.size > 0 || activeSpecialties.size > 0;
+  if (!query && !province && !district && !userLocation && !hasChips) {
+    cancelSearch();
+    showWelcome();
+  } else {
+    requestFilteredResults((results) => {
+      updateChipCounts(results);
+      render(filterByChips(results));
+    });
+  }
+  syncURL();
+}
+
+/* ─── Render ────────────────────────────────────────────────────────────── */
+
+const PAGE_SIZE = 50;
+
+// At most this many pages of a column are in the DOM: paging on drops the
+// ones at the other end, which "Xem trước" / "Xem thêm" bring back
+const MAX_PAGES = 3;
+
+// Per-column result lists and the range [start, end) of their cards in the DOM
+const columns = {
+  public: { list: publicList, items: [], start: 0, end: 0 },
+  private: { list: privateList, items: [], start: 0, end: 0 },
+};
+
+// Unclassified records are listed with the public ones — most hospitals are —
+// and badged (see uncertainTypeHTML)
+function columnOf(h) {
+  return h.type === "private" ? "private" : "public";
+}
+
+function setColumn(type, items) {
+  columns[type].items = items;
+  showRange(type, 0, PAGE_SIZE);
+}
+
+// Renders cards [start, end) of a column between its paging buttons
+function showRange(type, start, end) {
+  const col = columns[type];
+  col.start = start;
+  col.end = Math.min(end, col.items.length);
+  const before = col.start;
+  const after = col.items.length - col.end;
+
+  const pageButton = (dir, label) =>
+    `<button type="button" class="more-btn" data-type="${type}" data-dir="${dir}">${escapeHTML(label)}</button>`;
+  col.list.innerHTML =
+    (before > 0 ? pageButton("prev", t("results.previous", { count: Math.min(PAGE_SIZE, before) })) : "") +
+    col.items
+      .slice(col.start, col.end)
+      .map((h, i) => groupHeaderHTML(i > 0 ? col.items[col.start + i - 1] : null, h) + cardHTML(h))
+      .join("") +
+    (after > 0 ? pageButton("next", t("results.more", { count: Math.min(PAGE_SIZE, after), remaining: after })) : "");
+}
+
+// Shows the page after (or before) those in the DOM, dropping the farthest
+// page beyond MAX_PAGES. Returns the records it added.
+function showMore(type, dir) {
+  const col = columns[type];
+  const { start, end } = col;
+  if (dir === "prev") {
+    const from = Math.max(0, start - PAGE_SIZE);
+    showRange(type, from, Math.min(end, from + MAX_PAGES * PAGE_SIZE));
+    return col.items.slice(from, start);
+  }
+  const to = end + PAGE_SIZE;
+  showRange(type, Math.max(start, to - MAX_PAGES * PAGE_SIZE), to);
+  return col.items.slice(end, col.end);
+}
+
+function render(hospitals) {
+  const pub = hospitals.filter((h) => columnOf(h) === "public");
+  const priv = hospitals.filter((h) => columnOf(h) === "private");
+  const unc = pub.filter((h) => h.type === "unclassified");
+
+  publicCount.textContent = pub.length;
+  privateCount.textContent = priv.length;
+
+  setColumn("public", pub);
+  setColumn("private", priv);
+
+  // Summary
+  const total = hospitals.length;
+  announce(
+    total > 0
+      ? t("results.announce", {
+          count: total,
+          public: pub.length - unc.length,
+          private: priv.length,
+          unclassified: unc.length,
+        })
+      : t("results.none"),
+  );
+  if (total > 0) {
+    resultSummary.textContent = t("results.count", { count: total });
+    resultBar.classList.remove("hidden");
+    emptyState.classList.add("hidden");
+  } else {
+    resultBar.classList.add("hidden");
+    emptyState.classList.remove("hidden");
+    emptyState.innerHTML = `
+      <p>${escapeHTML(t("results.none"))}</p>
+      <p class="hint">${escapeHTML(t("results.noneHint"))}</p>
+    `;
+  }
+
+  // Show/hide columns when empty or excluded by the type chips
+  const pubPicked = activeTypes.has("public") || activeTypes.has("unclassified");
+  const hidePub = activeTypes.size > 0 ? !pubPicked : pub.length === 0 && priv.length > 0;
+  const hidePriv = activeTypes.size > 0 ? !activeTypes.has("private") : priv.length === 0 && pub.length > 0;
+  document.getElementById("publicCol").classList.toggle("hidden", hidePub);
+  document.getElementById("privateCol").classList.toggle("hidden", hidePriv);
+  document.querySelector(".results-container").classList.toggle("single-column", hidePub !== hidePriv);
+
+  updateMap(hospitals);
+}
+
+let announceTimer = null;
+
+// Screen readers only speak a live region when its text changes, so it is
+// emptied first — the same count after a new search is announced again
+function announce(text) {
+  clearTimeout(announceTimer);
+  liveStatus.textContent = "";
+  announceTimer = setTimeout(() => (liveStatus.textContent = text), 100);
+}
+
+// When sorted by district, a header precedes the first card of each district
+function groupHeaderHTML(prev, h) {
+  if (sortMode !== "district") return "";
+  const field = ADMIN_MODES[adminMode].district;
+  if (prev && prev[field] === h[field]) return "";
+  return `<div class="group-header">${escapeHTML(h[field] ? placeName(h[field]) : t("results.noDistrict"))}</div>`;
+}
+
+/* ─── Match Highlighting ────────────────────────────────────────────────── */
+
+// Collects what to highlight on a card from its Fuse matches:
+// character ranges per visible field, matched specialty ids, and the alias
+// that matched when nothing visible on the card did.
+function cardHighlights(h) {
+  const out = { ranges: {}, specialties: new Set(), alias: "" };
+  const matches = matchesById.get(h.id);
+  if (!matches) return out;
+
+  for (const m of matches) {
+    if (m.key === "specialties") {
+      const id = h.specialties.find((sp) => {
+        const label = specialtyLabel(sp);
+        return m.value === label || m.value === normalizeSearchText(label);
+      });
+      if (id) out.specialties.add(id);
+    } else if (m.key === "aliases" || m.key === "aliasesAscii") {
+      // aliasesAscii is parallel to aliases
+      if (!out.alias) out.alias = h.aliases[m.refIndex] || "";
+    } else {
+      const field = m.key === "nameAscii" ? "name" : m.key;
+      const ranges = fieldRanges(h[field], m);
+      if (ranges.length > 0) {
+        (out.ranges[field] = out.ranges[field] || []).push(...ranges);
+      }
+    }
+  }
+
+  if (Object.keys(out.ranges).length > 0 || out.specialties.size > 0) out.alias = "";
+  return out;
+}
+
+// Fuse indices on an ASCII query vs. a diacritic field are scattered fragments,
+// so prefer whole query words found diacritic-insensitively at word starts.
+// Falls back to Fuse's own indices (3+ chars) for typo matches.
+function fieldRanges(text, match) {
+  const ranges = tokenRanges(text);
+  if (ranges.length > 0) return ranges;
+
+  const ascii = removeDiacritics(text.toLowerCase());
+  // nameAscii/aliasesAscii values are normalized (abbreviations expanded,
+  // noise words dropped), so their indices only apply if nothing changed
+  const sameText = match.value === text || (ascii.length === text.length && match.value === ascii);
+  return sameText ? match.indices.filter(([start, end]) => end - start >= 2) : [];
+}
+
+// Query words found at word starts in text, as [start, end] ranges
+function tokenRanges(text) {
+  const ascii = removeDiacritics(text.toLowerCase());
+  const ranges = [];
+  // Indices only line up if no character expanded or collapsed when folding
+  if (ascii.length !== text.length) return ranges;
+  for (const token of queryTokens) {
+    const re = new RegExp("\\b" + token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "g");
+    for (const m of ascii.matchAll(re)) {
+      ranges.push([m.index, m.index + token.length - 1]);
+    }
+  }
+  return ranges;
+}
+
+// Escapes text and wraps the [start, end] (inclusive) ranges in <mark>
+function highlightRanges(text, ranges) {
+  if (!ranges || ranges.length === 0) return escapeHTML(text);
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  let html = "";
+  let pos = 0;
+  for (const [start, end] of sorted) {
+    if (end < pos) continue; // overlapping range already covered
+    const from = Math.max(start, pos);
+    html += escapeHTML(text.slice(pos, from));
+    html += "<mark>" + escapeHTML(text.slice(from, end + 1)) + "</mark>";
+    pos = end + 1;
+  }
+  return html + escapeHTML(text.slice(pos));
+}
+
+// "khớp với: tên cũ Quận Ba Đình"
+function aliasHintHTML(h, alias) {
+  let kind = "match.otherName";
+  if (/^(Phường|Xã|Đặc khu)\s/.test(alias)) kind = "match.newUnit";
+  else if (/^(Quận|Huyện|Thị xã|Thành phố)\s/.test(alias)) kind = "match.oldName";
+  else if (alias === h.newProvince && alias !== h.oldProvince) kind = "match.newProvince";
+  else if (alias === h.oldProvince) kind = "match.oldProvince";
+  return `<div class="card-match-hint">${escapeHTML(t("match.hint", { kind: t(kind) }))} <strong>${escapeHTML(alias)}</strong></div>`;
+}
+
+// Classifications below this confidence get a badge (REVIEW_BELOW in
+// scripts/classify.js)
+const UNCERTAIN_TYPE_BELOW = 0.5;
+
+// Badge for a record its column may misrepresent: an unclassified one listed
+// with the public hospitals, or a doubtful public/private guess
+function uncertainTypeHTML(h) {
+  let key;
+  if (h.type === "unclassified") key = "type.unclassified";
+  else if (h.typeConfidence < UNCERTAIN_TYPE_BELOW) key = "type.uncertain";
+  else return "";
+  return `<span class="type-uncertain" title="${escapeAttr(t(key + "Hint"))}">${escapeHTML(t(key))}</span>`;
+}
+
+function cardHTML(h) {
+  const typeClass =
+    h.type === "public"
+      ? "card-public"
+      : h.type === "private"
+      ? "card-private"
+      : "";
+
+  const phonePart = h.phone
+    ? `<a href="tel:${escapeAttr(h.phone.replace(/\s/g, ""))}" class="phone-link">${escapeHTML(h.phone)}</a>`
+    : "";
+
+  const mapPart = h.mapsUrl
+    ? `<a href="${escapeAttr(h.mapsUrl)}" target="_blank" rel="noopener">${escapeHTML(t("card.map"))}</a>`
+    : "";
+
+  const webPart = h.website
+    ? `<a href="${escapeAttr(h.website)}" target="_blank" rel="noopener">${escapeHTML(t("card.website"))}</a>`
+    : "";
+
+  const hl = cardHighlights(h);
+  const part = (field) => highlightRanges(h[field], hl.ranges[field]);
+  // Match ranges index the Vietnamese text, so English place names go unmarked
+  const place = (field) => {
+    const name = placeName(h[field]);
+    return name === h[field] ? part(field) : escapeHTML(name);
+  };
+
+  // Build location lines: old district name (familiar) + new ward (official)
+  const locParts = [];
+  if (h.oldDistrict) locParts.push(place("oldDistrict"));
+  else if (h.district) locParts.push(place("district"));
+  if (h.oldProvince) locParts.push(place("oldProvince"));
+  else if (h.city) locParts.push(place("city"));
+  const locationLine = locParts.length > 0 ? locParts.join(", ") : "";
+
+  const distance = distanceTo(h);
+
+  // Show new ward if different from old district
+  let newLocLine = "";
+  if (h.newWard && h.newWard !== h.oldDistrict) {
+    const newParts = [place("newWard")];
+    if (h.newProvince && h.newProvince !== h.oldProvince) newParts.push(place("newProvince"));
+    newLocLine = newParts.join(", ");
+  }
+
+  const tags = h.specialties
+    .map((s) => `<span class="tag${hl.specialties.has(s) ? " tag-match" : ""}">${escapeHTML(specialtyName(s))}</span>`)
+    .join("");
+
+  return `
+    <div class="card ${typeClass}" data-id="${escapeAttr(h.id)}">
+      <div class="card-name">
+        ${favButtonHTML(h)}
+        <a href="?hospital=${encodeURIComponent(h.id)}" class="detail-link">${part("name")}</a>
+        ${uncertainTypeHTML(h)}
+        ${distance !== null ? `<span class="card-distance">${formatDistance(distance)}</span>` : ""}
+      </div>
+      ${locationLine ? `<div class="card-location">${locationLine}</div>` : ""}
+      ${newLocLine ? `<div class="card-new-location">${newLocLine} ${escapeHTML(t("card.new"))}</div>` : ""}
+      ${h.address ? `<div class="card-address">${part("address")}</div>` : ""}
+      ${tags ? `<div class="card-tags">${tags}</div>` : ""}
+      ${hl.alias ? aliasHintHTML(h, hl.alias) : ""}
+      <div class="card-meta">
+        ${phonePart}${mapPart}${webPart}
+      </div>
+    </div>
+  `;
+}
+
+function findCard(id) {
+  return [...document.querySelectorAll(".card[data-id]")].find((el) => el.dataset.id === id) || null;
+}
+
+function escapeHTML(str) {
+  const el = document.createElement("span");
+  el.textContent = str;
+  return el.innerHTML;
+}
+
+function escapeAttr(str) {
+  return str.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+/* ─── Event Listeners ───────────────────────────────────────────────────── */
+
+searchInput.addEventListener("input", () => {
+  clearBtn.classList.toggle("hidden", !searchInput.value);
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => {
+    applySearchText();
+    triggerUpdate();
+  }, 150);
+  searchSuggestions.refresh();
+});
+
+// Runs after the suggestion list's own handler, which claims Enter on a highlighted option
+searchInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && !e.defaultPrevented) {
+    rememberSearch(searchInput.value);
+    commitSearchText();
+    searchSuggestions.close();
+  }
+});
+
+clearBtn.addEventListener("click", () => {
+  searchInput.value = "";
+  clearBtn.classList.add("hidden");
+  searchInput.focus();
+  applySearchText();
+  triggerUpdate();
+  searchSuggestions.refresh();
+});
+
+document.getElementById("provinceCombo").addEventListener("change", () => {
+  // Province changed — update district options and clear district selection
+  parsedFilters.province = "";
+  parsedFilters.district = "";
+  districtCombo.setValue("", true);
+  updateDistrictOptions();
+  triggerUpdate();
 });
 
 document.getElementById("districtCombo").addEventListener("change", () => {
+  parsedFilters.district = "";
   triggerUpdate();
 });
 
-toggleUnclassified.addEventListener("click", () => {
-  const list = unclassifiedList;
-  const chevron = toggleUnclassified.querySelector(".chevron");
-  list.classList.toggle("collapsed");
-  chevron.classList.toggle("open");
+// "Xem thêm" / "Xem trước": show the next or previous page and move focus
+// to its first card
+document.getElementById("app").addEventListener("click", (e) => {
+  const btn = e.target.closest(".more-btn");
+  if (!btn) return;
+  const added = showMore(btn.dataset.type, btn.dataset.dir);
+  if (added.length > 0) {
+    findCard(added[0].id).querySelector(".detail-link").focus();
+  }
 });
 
+// Star buttons on cards and in the detail view
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest(".fav-btn");
+  if (!btn) return;
+  toggleFavorite(btn.dataset.id);
+  // Unstarred from the "Đã lưu" list itself — drop the card
+  if (btn.closest(".saved-list") && !favoriteIds.has(btn.dataset.id)) showWelcome();
+});
+
+/* ─── URL State ─────────────────────────────────────────────────────────── */
+
+// Search state is mirrored into the query string so searches can be shared,
+// and so a Notion embed URL can preselect a province: ?province=Hà+Nội
+
+function getState() {
+  return {
+    q: searchInput.value.trim(),
+    province: provinceCombo.getValue(),
+    district: districtCombo.getValue(),
+    hospital: detailId,
+    admin: adminMode,
+    types: [...activeTypes],
+    kinds: [...activeKinds],
+    specialties: [...activeSpecialties],
+    sort: sortMode,
+    lang: i18n.lang,
+  };
+}
+
+function stateToQuery(state) {
+  const params = new URLSearchParams();
+  if (state.admin === "new") params.set("admin", "new");
+  if (state.q) params.set("q", state.q);
+  if (state.province) params.set("province", state.province);
+  if (state.district) params.set("district", state.district);
+  if (state.types.length) params.set("type", state.types.join(","));
+  if (state.kinds.length) params.set("kind", state.kinds.join(","));
+  if (state.specialties.length) params.set("specialty", state.specialties.join(","));
+  if (state.sort !== "relevance") params.set("sort", state.sort);
+  if (state.hospital) params.set("hospital", state.hospital);
+  if (state.lang !== I18n.DEFAULT_LANGUAGE) params.set("lang", state.lang);
+  const qs = params.toString();
+  return qs ? "?" + qs : "";
+}
+
+function queryToState(search) {
+  const params = new URLSearchParams(search);
+  return {
+    q: params.get("q") || "",
+    province: params.get("province") || "",
+    district: params.get("district") || "",
+    hospital: params.get("hospital") || "",
+    admin: params.get("admin") === "new" ? "new" : "old",
+    types: listParam(params, "type", ["public", "private", "unclassified"]),
+    kinds: listParam(params, "kind", SearchFilter.KINDS),
+    specialties: listParam(params, "specialty", Object.keys(SPECIALTY_LABELS)),
+    sort: listParam(params, "sort", SORT_MODES)[0] || "relevance",
+    lang: listParam(params, "lang", LANGUAGES)[0] || "",
+  };
+}
+
+// Comma-separated param, restricted to known values
+function listParam(params, name, allowed) {
+  return (params.get(name) || "")
+    .split(",")
+    .filter((v) => allowed.includes(v));
+}
+
+function applyState(state) {
+  // Without ?lang= the current language stays
+  if (state.lang) setLanguage(state.lang);
+  searchInput.value = state.q;
+  clearBtn.classList.toggle("hidden", !state.q);
+  if (state.admin !== adminMode) {
+    setAdminMode(state.admin);
+  }
+  provinceCombo.setValue(provinceCombo.match(state.province), true);
+  updateDistrictOptions();
+  districtCombo.setValue(districtCombo.match(state.district), true);
+  activeTypes = new Set(state.types);
+  activeKinds = new Set(state.kinds);
+  activeSpecialties = new Set(state.specialties);
+  setSortMode(state.sort);
+  syncChips();
+  if (state.hospital && hospitalsById.has(state.hospital)) {
+    openDetail(state.hospital);
+  } else {
+    closeDetail();
+  }
+}
+
+function syncURL() {
+  const next = getState();
+  const search = stateToQuery(next);
+  if (search === location.search) return;
+
+  const url = location.pathname + search + location.hash;
+  const prev = queryToState(location.search);
+  // Typing refines the same search — replace instead of stacking one entry per keystroke
+  const typingOnly =
+    prev.q && next.q &&
+    prev.province === next.province &&
+    prev.district === next.district &&
+    prev.hospital === next.hospital &&
+    prev.admin === next.admin &&
+    prev.types.join() === next.types.join() &&
+    prev.kinds.join() === next.kinds.join() &&
+    prev.specialties.join() === next.specialties.join() &&
+    prev.sort === next.sort &&
+    prev.lang === next.lang;
+
+  if (restoringURL || typingOnly) {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+}
+
+function restoreFromURL() {
+  restoringURL = true;
+  applyState(queryToState(location.search));
+  adoptParsedFilters();
+  applySearchText({ switchAdmin: false });
+  triggerUpdate();
+  restoringURL = false;
+}
+
+// Back/forward replays previous searches
+window.addEventListener("popstate", () => {
+  if (!searchReady) return;
+  restoreFromURL();
+});
+
+/* ─── Admin Mode (địa giới cũ / mới) ───────────────────────────────────── */
+
+function setAdminMode(mode) {
+  adminMode = mode;
+  adminModeBtns.forEach((btn) => {
+    const active = btn.dataset.mode === mode;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", active);
+  });
+  // Old and new units don't map 1:1, so selections can't carry over
+  provinceCombo.setValue("", true);
+  districtCombo.setValue("", true);
+  populateFilters();
+}
+
+adminModeBtns.forEach((btn) => {
+  btn.addEventListener("click", () => {
+    if (btn.dataset.mode === adminMode) return;
+    setAdminMode(btn.dataset.mode);
+    // Re-read the search text for the chosen mode, without switching back
+    parsedFilters.admin = "";
+    parsedFilters.province = "";
+    parsedFilters.district = "";
+    applySearchText({ switchAdmin: false });
+    triggerUpdate();
+  });
+});
+
+/* ─── Language ──────────────────────────────────────────────────────────── */
+
+function syncLanguageButtons() {
+  languageBtns.forEach((btn) => {
+    const active = btn.dataset.lang === i18n.lang;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-pressed", active);
+  });
+}
+
+// Re-renders everything that holds translated text; filters and results stay
+function setLanguage(lang) {
+  if (lang === i18n.lang || !LANGUAGES.includes(lang)) return;
+  i18n = I18n.createTranslator(MESSAGES, lang);
+  try {
+    localStorage.setItem(LANGUAGE_KEY, lang);
+  } catch {
+    // storage blocked — the choice lasts for this visit
+  }
+  translatePage();
+  syncLanguageButtons();
+  if (!searchReady) return; // init() renders the rest
+
+  populateFilters();
+  provinceCombo.setValue(provinceCombo.getValue(), true);
+  districtCombo.setValue(districtCombo.getValue(), true);
+  populateSpecialties();
+  syncChips();
+  setNearMeStatus(nearMeStatusKey, nearMeStatus.classList.contains("error"));
+  if (pendingDataUpdate) showDataUpdated(pendingDataUpdate.updatedAt);
+  else showDataStatus();
+  if (!restoringURL) triggerUpdate();
+}
+
+languageBtns.forEach((btn) => {
+  btn.addEventListener("click", () => setLanguage(btn.dataset.lang));
+});
+
+/* ─── Near Me ───────────────────────────────────────────────────────────── */
+
+nearMeBtn.addEventListener("click", () => {
+  if (nearMeBtn.classList.contains("active")) {
+    disableNearMe();
+    return;
+  }
+  nearMeBtn.classList.add("active");
+  nearMeBtn.setAttribute("aria-pressed", "true");
+  nearMePanel.classList.remove("hidden");
+  locateUser();
+});
+
+// Bumped when a position request is made or no longer wanted: a fix that
+// arrives after "Gần tôi" was switched off, or another point was picked, is dropped
+let locateRequest = 0;
+
+function locateUser() {
+  if (!navigator.geolocation) {
+    setNearMeStatus("near.unsupported");
+    return;
+  }
+  const request = ++locateRequest;
+  setNearMeStatus("near.locating");
+  navigator.geolocation.getCurrentPosition(
+    (pos) => {
+      if (request !== locateRequest) return;
+      setUserLocation({ lat: pos.coords.latitude, lon: pos.coords.longitude });
+      setNearMeStatus("near.usingCurrent");
+    },
+    (err) => {
+      if (request !== locateRequest) return;
+      setNearMeStatus(err.code === err.PERMISSION_DENIED ? "near.denied" : "near.unavailable", true);
+      manualPointInput.focus();
+    },
+    { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 },
+  );
+}
+
+function setUserLocation(point) {
+  locateRequest++;
+  const first = !userLocation;
+  userLocation = point;
+  // Switching on "Gần tôi" sorts by distance unless another order was picked
+  setSortMode(first && sortMode === "relevance" ? "distance" : sortMode);
+  triggerUpdate();
+}
+
+function disableNearMe() {
+  locateRequest++;
+  nearMeBtn.classList.remove("active");
+  nearMeBtn.setAttribute("aria-pressed", "false");
+  nearMePanel.classList.add("hidden");
+  manualPointInput.value = "";
+  setNearMeStatus("");
+  userLocation = null;
+  setSortMode(sortMode);
+  triggerUpdate();
+}
+
+let nearMeStatusKey = ""; // message shown, kept so a language switch can redo it
+
+function setNearMeStatus(key, isError) {
+  nearMeStatusKey = key;
+  nearMeStatus.textContent = key ? t(key) : "";
+  nearMeStatus.classList.toggle("error", !!isError);
+}
+
+manualPointInput.addEventListener("change", () => {
+  const point = parsePoint(manualPointInput.value);
+  if (!point) {
+    setNearMeStatus("near.invalidPoint", true);
+    return;
+  }
+  setUserLocation(point);
+  setNearMeStatus("near.usingManual");
+});
+
+radiusSelect.addEventListener("change", () => {
+  radiusKm = Number(radiusSelect.value);
+  triggerUpdate();
+});
+
+/* ─── Map Panel ─────────────────────────────────────────────────────────── */
+
+const MARKER_COLORS = {
+  public: "#0369a1",
+  private: "#9333ea",
+  unclassified: "#6b6b80",
+};
+
+let map = null;
+let clusterLayer = null;
+let userMarker = null;
+let markersById = new Map(); // hospital id → circleMarker
+let highlightedId = null;
+
+function initMap() {
+  map = L.map(mapPanel.querySelector(".map-canvas"), {
+    center: [16.0, 106.0], // whole of Vietnam
+    zoom: 5,
+    preferCanvas: true,
+  });
+  // Tile URL is configurable so the map can point at a local/offline tile server
+  L.tileLayer(mapPanel.dataset.tileUrl, {
+    maxZoom: 18,
+    attribution: mapPanel.dataset.tileAttribution || "",
+  }).addTo(map);
+
+  clusterLayer = L.markerClusterGroup({
+    maxClusterRadius: 40,
+    showCoverageOnHover: false,
+    spiderfyOnMaxZoom: true,
+  });
+  map.addLayer(clusterLayer);
+
+  // While "Gần tôi" is active, clicking the map picks the reference point
+  map.on("click", (e) => {
+    if (!nearMeBtn.classList.contains("active")) return;
+    manualPointInput.value = `${e.latlng.lat.toFixed(5)}, ${e.latlng.lng.toFixed(5)}`;
+    setUserLocation({ lat: e.latlng.lat, lon: e.latlng.lng });
+    setNearMeStatus("near.usingMapPoint");
+  });
+}
+
+function isMapOpen() {
+  return !mapPanel.classList.contains("hidden");
+}
+
+function updateMap(hospitals) {
+  currentResults = hospitals;
+  if (!isMapOpen()) return;
+  if (!map) initMap();
+
+  clusterLayer.clearLayers();
+  markersById = new Map();
+  highlightedId = null;
+
+  const markers = [];
+  for (const h of hospitals) {
+    if (!h.coords) continue;
+    const marker = L.circleMarker([h.coords.lat, h.coords.lon], markerStyle(h, false));
+    marker.bindTooltip(h.name);
+    marker.on("click", () => scrollToCard(h.id));
+    markersById.set(h.id, marker);
+    markers.push(marker);
+  }
+  clusterLayer.addLayers(markers);
+
+  if (userMarker) {
+    map.removeLayer(userMarker);
+    userMarker = null;
+  }
+  if (userLocation) {
+    userMarker = L.circleMarker([userLocation.lat, userLocation.lon], {
+      radius: 8,
+      color: "#fff",
+      weight: 3,
+      fillColor: "#e11d48",
+      fillOpacity: 1,
+    }).bindTooltip(t("map.yourLocation")).addTo(map);
+  }
+
+  const bounds = L.latLngBounds(markers.map((m) => m.getLatLng()));
+  if (userMarker) bounds.extend(userMarker.getLatLng());
+  if (bounds.isValid()) {
+    map.fitBounds(bounds, { padding: [24, 24], maxZoom: 15 });
+  }
+}
+
+function markerStyle(h, highlighted) {
+  return {
+    radius: highlighted ? 10 : 6,
+    color: highlighted ? "#1a1a2e" : "#fff",
+    weight: highlighted ? 3 : 1.5,
+    fillColor: MARKER_COLORS[h.type] || MARKER_COLORS.unclassified,
+    fillOpacity: 0.9,
+  };
+}
+
+function highlightMarker(id) {
+  if (highlightedId === id) return;
+  unhighlightMarker();
+  const marker = markersById.get(id);
+  if (!marker) return;
+  highlightedId = id;
+
+  // If the marker is hidden inside a cluster, highlight the cluster icon instead
+  const parent = clusterLayer.getVisibleParent(marker);
+  if (parent === marker) {
+    marker.setStyle(markerStyle(hospitalsById.get(id), true));
+    marker.bringToFront();
+  } else if (parent && parent.getElement()) {
+    parent.getElement().classList.add("cluster-highlight");
+  }
+}
+
+function unhighlightMarker() {
+  if (highlightedId === null) return;
+  const marker = markersById.get(highlightedId);
+  if (marker) {
+    marker.setStyle(markerStyle(hospitalsById.get(highlightedId), false));
+  }
+  mapPanel
+    .querySelectorAll(".cluster-highlight")
+    .forEach((el) => el.classList.remove("cluster-highlight"));
+  highlightedId = null;
+}
+
+function scrollToCard(id) {
+  const card = findCard(id) || revealCard(id);
+  if (!card) return;
+  card.scrollIntoView({ behavior: "smooth", block: "center" });
+  card.classList.add("card-flash");
+  setTimeout(() => card.classList.remove("card-flash"), 1200);
+}
+
+// Shows the page of the hospital's column that holds its card
+function revealCard(id) {
+  for (const [type, col] of Object.entries(columns)) {
+    const idx = col.items.findIndex((h) => h.id === id);
+    if (idx === -1) continue;
+    const start = idx - (idx % PAGE_SIZE);
+    showRange(type, start, start + PAGE_SIZE);
+    return findCard(id);
+  }
+  return null;
+}
+
+mapToggle.addEventListener("click", () => {
+  const open = !isMapOpen();
+  mapPanel.classList.toggle("hidden", !open);
+  mapToggle.classList.toggle("active", open);
+  mapToggle.setAttribute("aria-pressed", String(open));
+  if (open) {
+    updateMap(currentResults);
+    map.invalidateSize();
+  }
+});
+
+// Hovering a card highlights its marker
+document.querySelector("#app").addEventListener("mouseover", (e) => {
+  if (!map || !isMapOpen()) return;
+  const card = e.target.closest(".card[data-id]");
+  if (card) {
+    highlightMarker(card.dataset.id);
+  } else {
+    unhighlightMarker();
+  }
+});
+
+/* ─── Detail View ───────────────────────────────────────────────────────── */
+
+// Message keys
+const TYPE_LABELS = {
+  public: "results.publicHeader",
+  private: "results.privateHeader",
+  unclassified: "type.unclassified",
+};
+
+// Labelled fields (message key "field.<name>"), in display order. Any other
+// field in the record is listed after these.
+const DETAIL_FIELDS = [
+  "address",
+  "phone",
+  "website",
+  "oldDistrict",
+  "oldProvince",
+  "newWard",
+  "newProvince",
+  "district",
+  "city",
+  "specialties",
+  "aliases",
+  "mapsUrl",
+];
+
+// Place fields, shown with their English spelling alongside in English
+const PLACE_FIELDS = new Set(["oldDistrict", "oldProvince", "newWard", "newProvince", "district", "city"]);
+
+// Client-side or derived fields that add nothing to the detail table
+const HIDDEN_DETAIL_FIELDS = new Set(["name", "type", "typeConfidence", "id", "formerIds", "coords", "kinds"]);
+
+const NEARBY_PER_TYPE = 5;
+
+// What Tab can reach inside the detail modal
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+let detailMap = null;
+
+function openDetail(id) {
+  const h = hospitalsById.get(id);
+  if (!h) return;
+  // Opening another hospital from the modal keeps the first opener
+  if (!detailId) detailOpener = document.activeElement;
+  detailId = h.id;
+  detailBody.innerHTML = detailHTML(h);
+  detailModal.classList.remove("hidden");
+  document.body.classList.add("modal-open");
+  showDetailMap(h);
+  detailModal.querySelector(".modal-close").focus();
+}
+
+function closeDetail() {
+  if (!detailId) return;
+  detailId = "";
+  detailModal.classList.add("hidden");
+  document.body.classList.remove("modal-open");
+  // Back where the user was, unless a re-render replaced that element
+  if (detailOpener && detailOpener.isConnected) detailOpener.focus();
+  detailOpener = null;
+}
+
+// Keeps Tab and Shift+Tab cycling inside the open modal
+function trapFocus(e) {
+  const focusable = Array.from(detailModal.querySelectorAll(FOCUSABLE_SELECTOR)).filter((el) => !el.closest(".hidden"));
+  if (focusable.length === 0) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  if (!detailModal.contains(active) || (e.shiftKey ? active === first : active === last)) {
+    e.preventDefault();
+    (e.shiftKey ? last : first).focus();
+  }
+}
+
+function detailHTML(h) {
+  const rows = [];
+  const shown = new Set(HIDDEN_DETAIL_FIELDS);
+
+  for (const key of DETAIL_FIELDS) {
+    shown.add(key);
+    if (isEmptyField(h[key])) continue;
+    rows.push(detailRow(t(`field.${key}`), detailValue(key, h[key]), key === "address" || key === "phone" ? h[key] : ""));
+  }
+
+  if (h.coords) {
+    const coordText = `${h.coords.lat}, ${h.coords.lon}`;
+    rows.push(detailRow(t("field.coords"), escapeHTML(coordText), coordText));
+  }
+
+  // Remaining raw fields, skipping ASCII search duplicates
+  for (const key of Object.keys(h)) {
+    if (shown.has(key) || key.endsWith("Ascii") || isEmptyField(h[key])) continue;
+    rows.push(detailRow(key, detailValue(key, h[key])));
+  }
+
+  rows.push(detailRow(t("field.source"), escapeHTML(h.source || "OpenStreetMap")));
+  if (h.updatedAt || dataUpdatedAt) {
+    rows.push(detailRow(t("field.updated"), escapeHTML(formatDate(h.updatedAt || dataUpdatedAt))));
+  }
+  rows.push(detailRow(t("field.id"), `<code>${escapeHTML(h.id)}</code>`));
+
+  return `
+    <div class="detail-header">
+      <span class="detail-type detail-type-${h.type}">${escapeHTML(TYPE_LABELS[h.type] ? t(TYPE_LABELS[h.type]) : h.type)}</span>
+      ${h.type === "unclassified" ? "" : uncertainTypeHTML(h)}
+      ${favButtonHTML(h)}
+      <h2 id="detailTitle" class="detail-title">${escapeHTML(h.name)}</h2>
+    </div>
+    <div class="detail-map"></div>
+    <dl class="detail-fields">${rows.join("")}</dl>
+    ${nearbyHTML(h)}
+  `;
+}
+
+function detailRow(label, valueHTML, copyText) {
+  const copyBtn = copyText
+    ? `<button type="button" class="copy-btn" data-copy="${escapeAttr(copyText)}">${escapeHTML(t("detail.copy"))}</button>`
+    : "";
+  return `<dt>${escapeHTML(label)}</dt><dd>${valueHTML}${copyBtn}</dd>`;
+}
+
+function detailValue(key, value) {
+  if (key === "specialties") return value.map((s) => escapeHTML(specialtyName(s))).join(", ");
+  if (PLACE_FIELDS.has(key) && placeName(value) !== value) {
+    return `${escapeHTML(value)} <span class="detail-translit">(${escapeHTML(placeName(value))})</span>`;
+  }
+  if (Array.isArray(value)) return value.map(escapeHTML).join(", ");
+  if (key === "phone") {
+    return `<a href="tel:${escapeAttr(value.replace(/\s/g, ""))}">${escapeHTML(value)}</a>`;
+  }
+  if (/^https?:\/\//.test(value)) {
+    return `<a href="${escapeAttr(value)}" target="_blank" rel="noopener">${escapeHTML(value)}</a>`;
+  }
+  return escapeHTML(String(value));
+}
+
+function isEmptyField(value) {
+  return value === "" || value === null || value === undefined ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return isNaN(date) ? value : date.toLocaleDateString(i18n.locale);
+}
+
+// Closest N other facilities of each type
+function findNearby(h) {
+  const groups = { public: [], private: [], unclassified: [] };
+  if (!h.coords) return groups;
+
+  for (const other of allHospitals) {
+    if (other === h || !other.coords || !groups[other.type]) continue;
+    const distance = haversine(h.coords.lat, h.coords.lon, other.coords.lat, other.coords.lon);
+    groups[other.type].push({ hospital: other, distance });
+  }
+  for (const type of Object.keys(groups)) {
+    groups[type] = groups[type]
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, NEARBY_PER_TYPE);
+  }
+  return groups;
+}
+
+function nearbyHTML(h) {
+  const groups = findNearby(h);
+  const sections = Object.entries(groups)
+    .filter(([, items]) => items.length > 0)
+    .map(([type, items]) => `
+      <div class="nearby-group">
+        <h4>${escapeHTML(t(TYPE_LABELS[type]))}</h4>
+        <ul>
+          ${items.map(({ hospital, distance }) => `
+            <li>
+              <a href="?hospital=${encodeURIComponent(hospital.id)}" class="detail-link" data-id="${escapeAttr(hospital.id)}">${escapeHTML(hospital.name)}</a>
+              <span class="nearby-distance">${formatDistance(distance)}</span>
+            </li>`).join("")}
+        </ul>
+      </div>`);
+
+  if (sections.length === 0) return "";
+  return `
+    <div class="detail-nearby">
+      <h3>${escapeHTML(t("detail.nearby"))}</h3>
+      ${sections.join("")}
+    </div>
+  `;
+}
+
+function showDetailMap(h) {
+  const container = detailBody.querySelector(".detail-map");
+  if (!h.coords) {
+    container.classList.add("hidden");
+    return;
+  }
+  // Leaflet map instances are bound to their container, so recreate on each open
+  if (detailMap) detailMap.remove();
+  detailMap = L.map(container, { attributionControl: false })
+    .setView([h.coords.lat, h.coords.lon], 15);
+  L.tileLayer(mapPanel.dataset.tileUrl, { maxZoom: 18 }).addTo(detailMap);
+  L.circleMarker([h.coords.lat, h.coords.lon], markerStyle(h, true))
+    .bindTooltip(h.name)
+    .addTo(detailMap);
+}
+
+function copyToClipboard(text, button) {
+  const done = () => {
+    const label = button.textContent;
+    button.textContent = t("detail.copied");
+    setTimeout(() => (button.textContent = label), 1200);
+  };
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(text).then(done, () => fallbackCopy(text, done));
+  } else {
+    fallbackCopy(text, done);
+  }
+}
+
+// Notion iframes may block the async clipboard API
+function fallbackCopy(text, done) {
+  const area = document.createElement("textarea");
+  area.value = text;
+  area.style.position = "fixed";
+  area.style.opacity = "0";
+  document.body.appendChild(area);
+  area.select();
+  try {
+    document.execCommand("copy");
+    done();
+  } catch (err) {
+    console.error(err);
+  }
+  area.remove();
+}
+
+// Detail links (card names, nearby list) open the modal in place
+document.addEventListener("click", (e) => {
+  const link = e.target.closest(".detail-link");
+  if (!link || e.ctrlKey || e.metaKey || e.shiftKey) return;
+  e.preventDefault();
+  const id = link.dataset.id || link.closest(".card[data-id]").dataset.id;
+  openDetail(id);
+  syncURL();
+});
+
+detailBody.addEventListener("click", (e) => {
+  const btn = e.target.closest(".copy-btn");
+  if (btn) copyToClipboard(btn.dataset.copy, btn);
+});
+
+detailModal.addEventListener("click", (e) => {
+  if (e.target.closest(".modal-close") || e.target.classList.contains("modal-backdrop")) {
+    closeDetail();
+    syncURL();
+  }
+});
+
+document.addEventListener("keydown", (e) => {
+  if (e.key === "Escape" && detailId) {
+    closeDetail();
+    syncURL();
+  } else if (e.key === "Tab" && detailId) {
+    trapFocus(e);
+  }
+});
+
+/* ─── Offline Support ───────────────────────────────────────────────────── */
+
+let pendingDataUpdate = null; // {updatedAt} once the service worker has newer data
+
+// "Dữ liệu cập nhật ngày X", plus an offline note when there's no network
+function showDataStatus() {
+  pendingDataUpdate = null;
+  const parts = [];
+  if (dataUpdatedAt) parts.push(t("data.updated", { date: formatDate(dataUpdatedAt) }));
+  if (!navigator.onLine) parts.push(t("data.offline"));
+  dataBanner.classList.remove("update");
+  dataBanner.classList.toggle("hidden", parts.length === 0);
+  dataBanner.textContent = parts.join(" · ");
+}
+
+// The service worker refreshed hospitals.json in the background
+function showDataUpdated(updatedAt) {
+  pendingDataUpdate = { updatedAt };
+  const message = updatedAt
+    ? t("data.newAvailableOn", { date: formatDate(updatedAt) })
+    : t("data.newAvailable");
+  dataBanner.classList.remove("hidden");
+  dataBanner.classList.add("update");
+  dataBanner.innerHTML = `${escapeHTML(message)} <button type="button" class="banner-btn">${escapeHTML(t("data.reload"))}</button>`;
+  dataBanner.querySelector(".banner-btn").addEventListener("click", () => location.reload());
+}
+
+window.addEventListener("online", showDataStatus);
+window.addEventListener("offline", showDataStatus);
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch((err) => {
+    // Some embed contexts (e.g. sandboxed iframes) can't register workers
+    console.warn("Service worker registration failed:", err);
+  });
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data && e.data.type === "data-updated") showDataUpdated(e.data.updatedAt);
+  });
+}
+
 /* ─── Boot ──────────────────────────────────────────────────────────────── */
 
+translatePage();
+syncLanguageButtons();
 init();
@@ -0,0 +1,36 @@
+/**
+ * Stable hospital ids — the `?hospital=` value in detail links, and the key
+ * of the data pipeline's overrides file (scripts/overrides.js).
+ *
+ * Records without an explicit `id` get one derived from name + coordinates,
+ * so links stay valid when the dataset is re-sorted or grows. Loaded as a
+ * plain <script> (global `HospitalId`) or via require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./remove-diacritics.js"));
+  } else {
+    root.HospitalId = factory(root.removeDiacritics);
+  }
+})(this, function (removeDiacritics) {
+  // FNV-1a, base36 — short and deterministic
+  function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  function hospitalId(h) {
+    if (h.id) return String(h.id);
+    const slug = removeDiacritics((h.name || "").toLowerCase())
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60);
+    return (slug || "bv") + "-" + hashString(h.name + "|" + (h.mapsUrl || ""));
+  }
+
+  return { hospitalId, hashString };
+});
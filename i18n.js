@@ -0,0 +1,109 @@
+/**
+ * UI translations: message lookup with {placeholders} and plural forms, the
+ * language choice (URL ?lang= → saved choice → Vietnamese), and English
+ * renderings of Vietnamese place names ("Quận 7" → "District 7").
+ *
+ * Catalogs live in messages.js. Loaded as a plain <script> (global `I18n`)
+ * or via require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./remove-diacritics.js"));
+  } else {
+    root.I18n = factory(root.removeDiacritics);
+  }
+})(this, function (removeDiacritics) {
+  const DEFAULT_LANGUAGE = "vi";
+
+  // BCP 47 tags for Intl (plural rules, dates)
+  const LOCALES = { vi: "vi-VN", en: "en-GB" };
+
+  // Unit prefixes and how English puts them: "Quận 7" → "District 7",
+  // "Quận Ba Đình" → "Ba Dinh District". Longer prefixes first.
+  const PLACE_UNITS = [
+    ["Thành phố", "City"],
+    ["Thị trấn", "Township"],
+    ["Thị xã", "Town"],
+    ["Đặc khu", "Special Zone"],
+    ["Phường", "Ward"],
+    ["Quận", "District"],
+    ["Huyện", "District"],
+    ["Tỉnh", "Province"],
+    ["Xã", "Commune"],
+  ];
+
+  // Names with a settled English spelling
+  const PLACE_NAMES = {
+    "Hồ Chí Minh": "Ho Chi Minh City",
+    "Hà Nội": "Hanoi",
+    "Huế": "Hue",
+    "Thừa Thiên Huế": "Thua Thien Hue",
+    "Đà Nẵng": "Da Nang",
+    "Hải Phòng": "Hai Phong",
+    "Cần Thơ": "Can Tho",
+    "Bà Rịa - Vũng Tàu": "Ba Ria - Vung Tau",
+  };
+
+  /**
+   * Language from the page URL, else a saved choice, else Vietnamese.
+   * @param {string} search  location.search
+   * @param {string|null} saved  previously chosen language
+   * @param {string[]} supported
+   */
+  function pickLanguage(search, saved, supported) {
+    const fromURL = new URLSearchParams(search).get("lang");
+    if (supported.includes(fromURL)) return fromURL;
+    if (supported.includes(saved)) return saved;
+    return DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * @param {object} catalogs  {vi: {key: message}, en: {...}} — a message is a
+   *   string or plural forms keyed by Intl.PluralRules category ({one, other})
+   * @param {string} lang
+   */
+  function createTranslator(catalogs, lang) {
+    const catalog = catalogs[lang] || {};
+    const fallback = catalogs[DEFAULT_LANGUAGE] || {};
+    const locale = LOCALES[lang] || lang;
+    const plurals = new Intl.PluralRules(locale);
+
+    /**
+     * Message for `key` in the current language (Vietnamese if missing) with
+     * {name} placeholders filled from params; plural forms are chosen by
+     * params.count. Unknown keys come back as the key itself.
+     */
+    function t(key, params = {}) {
+      let message = key in catalog ? catalog[key] : key in fallback ? fallback[key] : key;
+      if (typeof message === "object") {
+        message = message[plurals.select(Number(params.count) || 0)] || message.other;
+      }
+      return message.replace(/\{(\w+)\}/g, (whole, name) => (name in params ? String(params[name]) : whole));
+    }
+
+    // True if the current language has its own message for key
+    function has(key) {
+      return key in catalog;
+    }
+
+    // English spelling of a Vietnamese place name; unchanged in Vietnamese
+    function placeName(name) {
+      if (lang === "vi" || !name) return name;
+      if (PLACE_NAMES[name]) return PLACE_NAMES[name];
+      for (const [prefix, unit] of PLACE_UNITS) {
+        if (!name.startsWith(prefix + " ")) continue;
+        const rest = name.slice(prefix.length + 1);
+        // Numbered units keep the number after the unit word
+        if (/^\d+$/.test(rest)) return `${unit} ${rest}`;
+        // "Thành phố Hồ Chí Minh" → "Ho Chi Minh City", not "… City City"
+        const english = placeName(rest);
+        return english.endsWith(` ${unit}`) ? english : `${english} ${unit}`;
+      }
+      return removeDiacritics(name);
+    }
+
+    return { lang, locale, t, has, placeName };
+  }
+
+  return { DEFAULT_LANGUAGE, pickLanguage, createTranslator };
+});
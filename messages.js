@@ -0,0 +1,297 @@
+/**
+ * UI message catalogs for i18n.js. Vietnamese is complete and is the fallback
+ * for any key missing in another language. Plural messages are keyed by
+ * Intl.PluralRules category; Vietnamese only needs `other`, so its counts are
+ * plain strings.
+ *
+ * Specialty names are only listed for English — Vietnamese uses the search
+ * labels in app.js (SPECIALTY_LABELS).
+ *
+ * Loaded as a plain <script> (global `MESSAGES`) or via require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MESSAGES = factory();
+  }
+})(this, function () {
+  const vi = {
+    "app.title": "Tìm Bệnh Viện",
+    "app.loading": "Đang tải dữ liệu...",
+    "app.loadError": "Không thể tải dữ liệu. Vui lòng thử lại sau.",
+    "lang.label": "Ngôn ngữ",
+
+    "search.label": "Tìm bệnh viện",
+    "search.placeholder": "Nhập tên bệnh viện, quận/huyện, tỉnh...",
+    "search.syntaxHint": 'Có thể gõ kèm địa điểm và loại, vd: "sản nhi quận 7", tinh:"Đà Nẵng" loai:tu',
+    "search.clear": "Xoá",
+    "search.suggestions": "Gợi ý tìm kiếm",
+    "suggest.hospitals": "Bệnh viện",
+    "suggest.locations": "Địa điểm",
+    "suggest.recent": "Tìm kiếm gần đây",
+
+    "admin.label": "Địa giới hành chính",
+    "admin.old": "Địa giới cũ",
+    "admin.new": "Địa giới mới",
+    "admin.oldProvince": "Tỉnh/Thành phố",
+    "admin.oldDistrict": "Quận/Huyện",
+    "admin.newProvince": "Tỉnh/Thành phố (mới)",
+    "admin.newWard": "Phường/Xã (mới)",
+    "combo.clear": "Xoá {label}",
+    "combo.noMatch": "Không tìm thấy",
+
+    "near.button": "Gần tôi",
+    "near.radius": "Bán kính",
+    "near.anyDistance": "Mọi khoảng cách",
+    "near.within": "Trong {km} km",
+    "near.manualPlaceholder": "Hoặc nhập toạ độ: 21.0285, 105.8542",
+    "near.unsupported": "Trình duyệt không hỗ trợ định vị. Hãy nhập toạ độ.",
+    "near.locating": "Đang xác định vị trí...",
+    "near.usingCurrent": "Đang dùng vị trí hiện tại",
+    "near.denied": "Không có quyền truy cập vị trí. Hãy nhập toạ độ.",
+    "near.unavailable": "Không xác định được vị trí. Hãy nhập toạ độ.",
+    "near.invalidPoint": "Toạ độ không hợp lệ. Ví dụ: 21.0285, 105.8542",
+    "near.usingManual": "Đang dùng toạ độ đã nhập",
+    "near.usingMapPoint": "Đang dùng vị trí chọn trên bản đồ",
+    "map.button": "Bản đồ",
+    "map.yourLocation": "Vị trí của bạn",
+
+    "type.public": "Công",
+    "type.private": "Tư",
+    "type.unclassified": "Chưa phân loại",
+    "type.uncertain": "Chưa chắc chắn",
+    "type.uncertainHint": "Loại công/tư được suy ra từ tên và dữ liệu OpenStreetMap, có thể chưa chính xác",
+    "type.unclassifiedHint": "Chưa rõ là bệnh viện công hay tư",
+    "kind.general": "Đa khoa",
+    "kind.specialty": "Chuyên khoa",
+    "kind.military": "Quân đội / Công an",
+    "specialties.label": "Chuyên khoa",
+    "specialties.count": "Chuyên khoa ({count})",
+
+    "results.publicHeader": "Bệnh viện Công",
+    "results.privateHeader": "Bệnh viện Tư",
+    "results.count": "{count} bệnh viện",
+    "results.announce": "{count} bệnh viện: {public} công, {private} tư, {unclassified} chưa phân loại",
+    "results.none": "Không tìm thấy bệnh viện phù hợp.",
+    "results.noneHint": "Thử tìm kiếm với từ khoá khác hoặc bỏ bớt bộ lọc.",
+    "results.more": "Xem thêm {count} (còn {remaining} bệnh viện)",
+    "results.previous": "Xem {count} bệnh viện trước",
+    "results.noDistrict": "Chưa xác định",
+    "sort.label": "Sắp xếp",
+    "sort.relevance": "Phù hợp nhất",
+    "sort.name": "Tên A–Z",
+    "sort.district": "Theo quận/huyện",
+    "sort.distance": "Gần nhất",
+
+    "welcome.title": "Tìm kiếm bệnh viện trên toàn quốc",
+    "welcome.hint": "{count} bệnh viện trong cơ sở dữ liệu. Nhập tên, chọn tỉnh hoặc quận/huyện để bắt đầu.",
+    "welcome.recent": "Tìm gần đây:",
+    "welcome.clearRecent": "Xoá lịch sử",
+    "saved.title": "Đã lưu",
+    "saved.export": "Xuất tệp",
+    "saved.import": "Nhập tệp",
+    "saved.empty": "Bấm ☆ trên thẻ bệnh viện để lưu vào đây.",
+    "saved.unavailable": "{count} bệnh viện đã lưu không còn trong dữ liệu hiện tại.",
+    "saved.imported": "Đã thêm {count} bệnh viện.",
+    "saved.importedMissing": "Đã thêm {count} bệnh viện, {missing} không có trong dữ liệu hiện tại.",
+    "saved.invalidFile": "Tệp không đúng định dạng danh sách đã lưu.",
+    "fav.save": "Lưu {name}",
+    "fav.add": "Lưu",
+    "fav.remove": "Bỏ lưu",
+
+    "card.map": "Bản đồ",
+    "card.website": "Website",
+    "card.new": "(mới)",
+    "match.hint": "khớp với: {kind}",
+    "match.otherName": "tên khác",
+    "match.newUnit": "địa giới mới",
+    "match.oldName": "tên cũ",
+    "match.newProvince": "tỉnh mới",
+    "match.oldProvince": "tỉnh cũ",
+
+    "field.address": "Địa chỉ",
+    "field.phone": "Điện thoại",
+    "field.website": "Website",
+    "field.oldDistrict": "Quận/Huyện (cũ)",
+    "field.oldProvince": "Tỉnh/Thành phố (cũ)",
+    "field.newWard": "Phường/Xã (mới)",
+    "field.newProvince": "Tỉnh/Thành phố (mới)",
+    "field.district": "Quận/Huyện (OSM)",
+    "field.city": "Tỉnh/Thành phố (OSM)",
+    "field.specialties": "Chuyên khoa",
+    "field.aliases": "Tên gọi khác",
+    "field.mapsUrl": "Google Maps",
+    "field.coords": "Toạ độ",
+    "field.source": "Nguồn dữ liệu",
+    "field.updated": "Cập nhật",
+    "field.id": "Mã",
+    "detail.close": "Đóng",
+    "detail.copy": "Sao chép",
+    "detail.copied": "Đã chép",
+    "detail.nearby": "Bệnh viện gần đây",
+
+    "data.updated": "Dữ liệu cập nhật ngày {date}",
+    "data.offline": "Đang ngoại tuyến",
+    "data.newAvailable": "Đã có dữ liệu mới.",
+    "data.newAvailableOn": "Đã có dữ liệu mới (ngày {date}).",
+    "data.reload": "Tải lại",
+  };
+
+  const en = {
+    "app.title": "Hospital Finder",
+    "app.loading": "Loading data...",
+    "app.loadError": "Couldn't load the data. Please try again later.",
+    "lang.label": "Language",
+
+    "search.label": "Search hospitals",
+    "search.placeholder": "Hospital name, district, province...",
+    "search.syntaxHint": 'You can add a place and a type, e.g. "sản nhi quận 7", tinh:"Đà Nẵng" loai:tu',
+    "search.clear": "Clear",
+    "search.suggestions": "Search suggestions",
+    "suggest.hospitals": "Hospitals",
+    "suggest.locations": "Places",
+    "suggest.recent": "Recent searches",
+
+    "admin.label": "Administrative boundaries",
+    "admin.old": "Old boundaries",
+    "admin.new": "New boundaries",
+    "admin.oldProvince": "Province/City",
+    "admin.oldDistrict": "District",
+    "admin.newProvince": "Province/City (new)",
+    "admin.newWard": "Ward/Commune (new)",
+    "combo.clear": "Clear {label}",
+    "combo.noMatch": "No matches",
+
+    "near.button": "Near me",
+    "near.radius": "Radius",
+    "near.anyDistance": "Any distance",
+    "near.within": "Within {km} km",
+    "near.manualPlaceholder": "Or enter coordinates: 21.0285, 105.8542",
+    "near.unsupported": "This browser can't share your location. Enter coordinates instead.",
+    "near.locating": "Finding your location...",
+    "near.usingCurrent": "Using your current location",
+    "near.denied": "Location access was denied. Enter coordinates instead.",
+    "near.unavailable": "Couldn't find your location. Enter coordinates instead.",
+    "near.invalidPoint": "Invalid coordinates. Example: 21.0285, 105.8542",
+    "near.usingManual": "Using the coordinates you entered",
+    "near.usingMapPoint": "Using the point picked on the map",
+    "map.button": "Map",
+    "map.yourLocation": "Your location",
+
+    "type.public": "Public",
+    "type.private": "Private",
+    "type.unclassified": "Unclassified",
+    "type.uncertain": "Unconfirmed",
+    "type.uncertainHint": "Public/private was inferred from the name and OpenStreetMap data and may be wrong",
+    "type.unclassifiedHint": "Not known to be public or private",
+    "kind.general": "General",
+    "kind.specialty": "Specialty",
+    "kind.military": "Military / Police",
+    "specialties.label": "Specialties",
+    "specialties.count": "Specialties ({count})",
+
+    "results.publicHeader": "Public hospitals",
+    "results.privateHeader": "Private hospitals",
+    "results.count": { one: "{count} hospital", other: "{count} hospitals" },
+    "results.announce": {
+      one: "{count} hospital: {public} public, {private} private, {unclassified} unclassified",
+      other: "{count} hospitals: {public} public, {private} private, {unclassified} unclassified",
+    },
+    "results.none": "No matching hospitals.",
+    "results.noneHint": "Try other words or remove some filters.",
+    "results.more": "Show {count} more ({remaining} left)",
+    "results.previous": "Show {count} previous",
+    "results.noDistrict": "Unknown",
+    "sort.label": "Sort",
+    "sort.relevance": "Best match",
+    "sort.name": "Name A–Z",
+    "sort.district": "By district",
+    "sort.distance": "Nearest",
+
+    "welcome.title": "Find hospitals across Vietnam",
+    "welcome.hint": {
+      one: "{count} hospital in the database. Type a name or pick a province or district to start.",
+      other: "{count} hospitals in the database. Type a name or pick a province or district to start.",
+    },
+    "welcome.recent": "Recent:",
+    "welcome.clearRecent": "Clear history",
+    "saved.title": "Saved",
+    "saved.export": "Export",
+    "saved.import": "Import",
+    "saved.empty": "Tap ☆ on a hospital card to save it here.",
+    "saved.unavailable": {
+      one: "{count} saved hospital is no longer in the current data.",
+      other: "{count} saved hospitals are no longer in the current data.",
+    },
+    "saved.imported": { one: "Added {count} hospital.", other: "Added {count} hospitals." },
+    "saved.importedMissing": {
+      one: "Added {count} hospital; {missing} not in the current data.",
+      other: "Added {count} hospitals; {missing} not in the current data.",
+    },
+    "saved.invalidFile": "This file isn't a saved hospitals list.",
+    "fav.save": "Save {name}",
+    "fav.add": "Save",
+    "fav.remove": "Remove from saved",
+
+    "card.map": "Map",
+    "card.website": "Website",
+    "card.new": "(new)",
+    "match.hint": "matched: {kind}",
+    "match.otherName": "other name",
+    "match.newUnit": "new ward",
+    "match.oldName": "old name",
+    "match.newProvince": "new province",
+    "match.oldProvince": "old province",
+
+    "field.address": "Address",
+    "field.phone": "Phone",
+    "field.website": "Website",
+    "field.oldDistrict": "District (old)",
+    "field.oldProvince": "Province/City (old)",
+    "field.newWard": "Ward/Commune (new)",
+    "field.newProvince": "Province/City (new)",
+    "field.district": "District (OSM)",
+    "field.city": "Province/City (OSM)",
+    "field.specialties": "Specialties",
+    "field.aliases": "Other names",
+    "field.mapsUrl": "Google Maps",
+    "field.coords": "Coordinates",
+    "field.source": "Data source",
+    "field.updated": "Updated",
+    "field.id": "ID",
+    "detail.close": "Close",
+    "detail.copy": "Copy",
+    "detail.copied": "Copied",
+    "detail.nearby": "Nearby hospitals",
+
+    "data.updated": "Data updated {date}",
+    "data.offline": "Offline",
+    "data.newAvailable": "New data is available.",
+    "data.newAvailableOn": "New data is available ({date}).",
+    "data.reload": "Reload",
+
+    "specialty.pediatrics": "Pediatrics",
+    "specialty.obstetrics": "Obstetrics & gynecology",
+    "specialty.oncology": "Oncology",
+    "specialty.ophthalmology": "Ophthalmology",
+    "specialty.psychiatry": "Psychiatry",
+    "specialty.traditional": "Traditional medicine",
+    "specialty.dentistry": "Dentistry",
+    "specialty.ent": "Ear, nose & throat",
+    "specialty.dermatology": "Dermatology",
+    "specialty.pulmonology": "Tuberculosis & lung disease",
+    "specialty.cardiology": "Cardiology",
+    "specialty.endocrinology": "Endocrinology",
+    "specialty.nephrology": "Nephrology & urology",
+    "specialty.orthopedics": "Trauma & orthopedics",
+    "specialty.burns": "Burns",
+    "specialty.rehabilitation": "Rehabilitation",
+    "specialty.geriatrics": "Geriatrics",
+    "specialty.infectious": "Tropical diseases",
+    "specialty.hematology": "Hematology & blood transfusion",
+    "specialty.cosmetic": "Cosmetic surgery",
+  };
+
+  return { vi, en };
+});
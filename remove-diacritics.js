@@ -0,0 +1,21 @@
+/**
+ * Folds Vietnamese diacritics: "Bệnh viện Đà Nẵng" → "Benh vien Da Nang".
+ * Case is kept (đ → d, Đ → D). Shared by the page, the search worker and the
+ * data scripts. Loaded as a plain <script> / importScripts() (global
+ * `removeDiacritics`) or via require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.removeDiacritics = factory();
+  }
+})(this, function () {
+  return function removeDiacritics(str) {
+    return str
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/đ/g, "d")
+      .replace(/Đ/g, "D");
+  };
+});
@@ -1,5 +1,6 @@
 /**
- * Builds old district + new ward mapping from the vietnamadminunits data.
+ * "admin" stage of the data pipeline (scripts/hospital-data.js): builds the
+ * old district + new ward mapping from the vietnamadminunits data.
  *
  * For each hospital:
  * 1. Determines which OLD district (pre-2025 reform) it belongs to using GPS bounding boxes
@@ -7,136 +8,42 @@
  *    using nearest-center matching within the correct new province
  * 3. Adds all name variants as searchable aliases
  *
- * Also builds a district_aliases.json lookup file for reference.
+ * Also builds a district_aliases.json lookup file for reference (not in a dry run).
  *
- * Run: node scripts/build-district-aliases.js
+ * The mapping tables in data/mapping/ aren't all committed. Without them the
+ * stage keeps the admin fields records already have (as the committed
+ * dataset's do, for `npm run enrich`), and fails on records that have none.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { readCSVRecords } = require("./csv");
+const { extractCoords, parseBounds, isInBounds, haversine } = require("./geo");
+const { removeDiacritics, setAsciiFields } = require("./text");
 
-const DATA_PATH = path.join(__dirname, "..", "data", "hospitals.json");
 const LEGACY_PATH = path.join(__dirname, "..", "data", "mapping", "legacy_63province.csv");
 const CONVERT_PATH = path.join(__dirname, "..", "data", "mapping", "convert_legacy_2025.csv");
 const NEW_PROVINCE_PATH = path.join(__dirname, "..", "data", "mapping", "new_34province.csv");
 const ALIASES_PATH = path.join(__dirname, "..", "data", "district_aliases.json");
 
-function removeDiacritics(str) {
-  return str
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/đ/g, "d")
-    .replace(/Đ/g, "D");
-}
+// Tables the stage reads besides the hospitals
+const MAPPING_FILES = [LEGACY_PATH, CONVERT_PATH, NEW_PROVINCE_PATH];
 
-// ─── CSV Parser (handles quoted fields) ─────────────────────────────────────
-
-function parseCSVRow(row) {
-  const fields = [];
-  let current = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < row.length; i++) {
-    const ch = row[i];
-    if (inQuotes) {
-      if (ch === '"' && row[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else if (ch === '"') {
-        inQuotes = false;
-      } else {
-        current += ch;
-      }
-    } else {
-      if (ch === '"') {
-        inQuotes = true;
-      } else if (ch === ",") {
-        fields.push(current);
-        current = "";
-      } else {
-        current += ch;
-      }
-    }
-  }
-  fields.push(current);
-  return fields;
-}
+// ─── Stage ──────────────────────────────────────────────────────────────────
 
-function parseCSV(filePath) {
-  const text = fs.readFileSync(filePath, "utf-8");
-  const lines = text.split("\n").filter((l) => l.trim());
-  const header = parseCSVRow(lines[0]);
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const fields = parseCSVRow(lines[i]);
-    const obj = {};
-    header.forEach((h, idx) => {
-      obj[h.trim()] = (fields[idx] || "").trim();
-    });
-    rows.push(obj);
+function run(hospitals, { dryRun, log }) {
+  const missing = MAPPING_FILES.filter((file) => !fs.existsSync(file)).map((file) => path.relative(process.cwd(), file));
+  if (missing.length > 0) {
+    const unmapped = hospitals.filter((h) => !h.newProvince && extractCoords(h.mapsUrl)).length;
+    if (unmapped > 0) {
+      throw new Error(`${unmapped} records have no old district / new ward, and ${missing.join(", ")} not found`);
+    }
+    log(`${missing.join(", ")} not found — keeping the admin fields the records have.`);
+    return hospitals;
   }
-  return rows;
-}
-
-// ─── Extract coords from hospital mapsUrl ───────────────────────────────────
-
-function extractCoords(mapsUrl) {
-  if (!mapsUrl) return null;
-  const match = mapsUrl.match(/query=([-\d.]+),([-\d.]+)/);
-  if (!match) return null;
-  return { lat: parseFloat(match[1]), lon: parseFloat(match[2]) };
-}
-
-// ─── Parse bounding box "lat1,lon1 – lat2,lon2" ────────────────────────────
-
-function parseBounds(boundsStr) {
-  if (!boundsStr) return null;
-  const parts = boundsStr.split("–").map((s) => s.trim());
-  if (parts.length !== 2) return null;
-
-  const [lat1, lon1] = parts[0].split(",").map(Number);
-  const [lat2, lon2] = parts[1].split(",").map(Number);
-
-  if ([lat1, lon1, lat2, lon2].some(isNaN)) return null;
-
-  return {
-    minLat: Math.min(lat1, lat2),
-    maxLat: Math.max(lat1, lat2),
-    minLon: Math.min(lon1, lon2),
-    maxLon: Math.max(lon1, lon2),
-  };
-}
-
-function isInBounds(lat, lon, bounds) {
-  return (
-    lat >= bounds.minLat &&
-    lat <= bounds.maxLat &&
-    lon >= bounds.minLon &&
-    lon <= bounds.maxLon
-  );
-}
-
-// ─── Haversine distance (km) ────────────────────────────────────────────────
-
-function haversine(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos((lat1 * Math.PI) / 180) *
-      Math.cos((lat2 * Math.PI) / 180) *
-      Math.sin(dLon / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-}
-
-// ─── Main ───────────────────────────────────────────────────────────────────
-
-function main() {
-  console.log("Loading data...");
 
   // 1. Extract unique old districts from legacy CSV
-  const legacyRows = parseCSV(LEGACY_PATH);
+  const legacyRows = readCSVRecords(LEGACY_PATH);
   const districtMap = new Map(); // key: "provinceCode|districtCode" → district info
 
   for (const row of legacyRows) {
@@ -161,10 +68,10 @@ function main() {
     (d) => !isNaN(d.lat) && !isNaN(d.lon),
   );
 
-  console.log(`Loaded ${oldDistricts.length} unique old districts.`);
+  log(`Loaded ${oldDistricts.length} unique old districts.`);
 
   // 2. Build old→new province mapping from conversion CSV
-  const convertRows = parseCSV(CONVERT_PATH);
+  const convertRows = readCSVRecords(CONVERT_PATH);
   const districtToNewProvince = new Map(); // "provinceCode|districtCode" → new province
 
   for (const row of convertRows) {
@@ -200,11 +107,13 @@ function main() {
   }
 
   // Save alias reference file
-  fs.writeFileSync(ALIASES_PATH, JSON.stringify(aliasData, null, 2), "utf-8");
-  console.log(`Saved ${Object.keys(aliasData).length} district alias entries.`);
+  if (!dryRun) {
+    fs.writeFileSync(ALIASES_PATH, JSON.stringify(aliasData, null, 2), "utf-8");
+    log(`Saved ${Object.keys(aliasData).length} district alias entries.`);
+  }
 
   // 4. Load new wards from new_34province.csv
-  const newWardRows = parseCSV(NEW_PROVINCE_PATH);
+  const newWardRows = readCSVRecords(NEW_PROVINCE_PATH);
   const newWards = [];
   const newWardsByProvince = new Map(); // provinceShort → [ward, ...]
 
@@ -233,7 +142,7 @@ function main() {
     newWardsByProvince.get(ward.provinceShort).push(ward);
   }
 
-  console.log(`Loaded ${newWards.length} new wards across ${newWardsByProvince.size} new provinces.`);
+  log(`Loaded ${newWards.length} new wards across ${newWardsByProvince.size} new provinces.`);
 
   // 5. Build old province → new province mapping for constraining ward search
   const oldToNewProvince = new Map(); // oldProvinceShort → newProvinceShort
@@ -246,7 +155,6 @@ function main() {
   }
 
   // 6. For each hospital, find old district AND new ward
-  const hospitals = JSON.parse(fs.readFileSync(DATA_PATH, "utf-8"));
   let oldMatched = 0;
   let newWardMatched = 0;
   let unmatched = 0;
@@ -351,28 +259,10 @@ function main() {
   }
 
   // Update ASCII fields
-  for (const h of hospitals) {
-    h.cityAscii = removeDiacritics((h.city || "").toLowerCase());
-    h.districtAscii = removeDiacritics((h.district || "").toLowerCase());
-    h.nameAscii = removeDiacritics((h.name || "").toLowerCase());
-  }
+  hospitals.forEach(setAsciiFields);
 
-  fs.writeFileSync(DATA_PATH, JSON.stringify(hospitals, null, 2), "utf-8");
-
-  console.log(`\nHospital matching results:`);
-  console.log(`  Matched to old district: ${oldMatched}`);
-  console.log(`  Matched to new ward:     ${newWardMatched}`);
-  console.log(`  Unmatched:               ${unmatched}`);
-
-  // Show samples
-  const samples = hospitals.filter((h) => h.newWard).slice(0, 5);
-  console.log(`\nSample matches:`);
-  for (const s of samples) {
-    console.log(`  ${s.name}`);
-    console.log(`    old: ${s.oldDistrict}, ${s.oldProvince}`);
-    console.log(`    new: ${s.newWard}, ${s.newProvince}`);
-    console.log(`    aliases: [${s.aliases.join(", ")}]`);
-  }
+  log(`Matched to old district: ${oldMatched}, to new ward: ${newWardMatched}, unmatched: ${unmatched}`);
+  return hospitals;
 }
 
-main();
+module.exports = { MAPPING_FILES, run };
@@ -0,0 +1,112 @@
+/**
+ * Builds the files the browser loads at startup:
+ *
+ *   data/hospitals.<hash>.min.json   compact records (minified, no *Ascii
+ *                                    duplicates, empty fields dropped)
+ *   data/search-index.<hash>.json    serialized Fuse index (Fuse.createIndex)
+ *   data/search-manifest.json        points at the current hashed files
+ *
+ * The content hash in each filename lets browsers and the service worker cache
+ * the big files forever; only the small manifest is revalidated.
+ * Without a manifest, app.js falls back to data/hospitals.json.
+ *
+ * Runs as part of the "publish" stage of scripts/hospital-data.js, or alone
+ * after hand edits to hospitals.json: node scripts/build-index.js
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const Fuse = require("../lib/fuse.min.js");
+const createSearchOptions = require("../search-options.js");
+const { SPECIALTIES } = require("./specialties");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const DATA_PATH = path.join(DATA_DIR, "hospitals.json");
+const MANIFEST_PATH = path.join(DATA_DIR, "search-manifest.json");
+
+// Bump when the compact record shape or index keys change incompatibly
+const FORMAT_VERSION = 1;
+
+// Searchable through the index, or pipeline bookkeeping — the client never
+// reads them from records
+const DROP_FIELDS = [
+  "nameAscii", "districtAscii", "cityAscii", "aliasesAscii",
+  "manual", "overridden", "typeReasons", "mergedFrom",
+];
+
+const HASHED_FILE_RE = /^(hospitals\.[0-9a-f]+\.min|search-index\.[0-9a-f]+)\.json$/;
+
+function compact(h) {
+  const out = {};
+  for (const [key, value] of Object.entries(h)) {
+    if (DROP_FIELDS.includes(key)) continue;
+    if (value === "" || value === null || (Array.isArray(value) && value.length === 0)) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+function contentHash(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 10);
+}
+
+// Writes the bundle for `hospitals`; a dry run only reports the file names
+function buildBundle(hospitals, { dryRun = false, log = console.log } = {}) {
+  const labels = new Map(SPECIALTIES.map((s) => [s.id, s.label]));
+  const options = createSearchOptions((id) => labels.get(id) || id);
+  const index = Fuse.createIndex(options.keys, hospitals);
+
+  const dataText = JSON.stringify(hospitals.map(compact));
+  const indexText = JSON.stringify(index.toJSON());
+  const dataFile = `hospitals.${contentHash(dataText)}.min.json`;
+  const indexFile = `search-index.${contentHash(indexText)}.json`;
+
+  // Keep the timestamp when nothing changed, so rebuilding doesn't make
+  // installed clients think there's new data
+  let previous = {};
+  try {
+    previous = JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf-8"));
+  } catch {
+    // first build
+  }
+  const unchanged = previous.data === dataFile && previous.index === indexFile;
+
+  const kb = (text) => (Buffer.byteLength(text) / 1024).toFixed(0) + " KB";
+  if (dryRun) {
+    log(unchanged ? "Search bundle unchanged" : `Search bundle would become ${dataFile} + ${indexFile}`);
+    return;
+  }
+
+  // Remove hashed files from previous builds
+  for (const file of fs.readdirSync(DATA_DIR)) {
+    if (HASHED_FILE_RE.test(file) && file !== dataFile && file !== indexFile) {
+      fs.unlinkSync(path.join(DATA_DIR, file));
+    }
+  }
+
+  fs.writeFileSync(path.join(DATA_DIR, dataFile), dataText, "utf-8");
+  fs.writeFileSync(path.join(DATA_DIR, indexFile), indexText, "utf-8");
+
+  const manifest = {
+    version: FORMAT_VERSION,
+    generatedAt: unchanged ? previous.generatedAt : new Date().toISOString(),
+    count: hospitals.length,
+    data: dataFile,
+    index: indexFile,
+  };
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n", "utf-8");
+
+  log(`Built search bundle for ${hospitals.length} hospitals:`);
+  log(`  ${dataFile.padEnd(36)} ${kb(dataText)}`);
+  log(`  ${indexFile.padEnd(36)} ${kb(indexText)}`);
+  log(`  search-manifest.json`);
+}
+
+function main() {
+  buildBundle(JSON.parse(fs.readFileSync(DATA_PATH, "utf-8")));
+}
+
+if (require.main === module) main();
+
+module.exports = { DATA_PATH, buildBundle };
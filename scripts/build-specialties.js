@@ -0,0 +1,28 @@
+/**
+ * Part of the "normalize" stage of the data pipeline (scripts/hospital-data.js):
+ * derives the structured `specialties` field for every hospital from its name,
+ * using the taxonomy in scripts/specialties.js.
+ *
+ * Specialties already on a record (e.g. from OSM `healthcare:speciality` tags,
+ * set by fetch-osm.js) are kept; name-derived ones are added.
+ */
+
+const { SPECIALTIES, deriveSpecialties } = require("./specialties");
+
+// Keep ids in taxonomy order so records diff cleanly
+const ORDER = SPECIALTIES.map((s) => s.id);
+
+function run(hospitals, { log }) {
+  let tagged = 0;
+
+  for (const h of hospitals) {
+    const ids = new Set([...(h.specialties || []), ...deriveSpecialties(h.name)]);
+    h.specialties = ORDER.filter((id) => ids.has(id));
+    if (h.specialties.length > 0) tagged++;
+  }
+
+  log(`Tagged ${tagged}/${hospitals.length} hospitals with specialties`);
+  return hospitals;
+}
+
+module.exports = { run };
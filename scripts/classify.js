@@ -0,0 +1,334 @@
+/**
+ * Public/private classification of hospitals, used by fetch-osm.js.
+ *
+ * Every signal is scored rather than the first keyword hit winning: OSM
+ * `operator:type` and `operator`, known hospitals, private brands, numbered
+ * military/police hospitals and name keywords each add points to their side.
+ * The margin between the sides gives a confidence, and each point is kept as
+ * a reason, so `npm run review-types` can list the doubtful ones.
+ *
+ * The keyword lists are edited often — test/classify.test.js pins down the
+ * cases they must keep getting right. One-off fixes belong in
+ * data/overrides.json instead (see overrides.js).
+ */
+
+const { removeDiacritics } = require("./text");
+
+// ─── Classification heuristics ──────────────────────────────────────────────
+
+const PUBLIC_KEYWORDS = [
+  // Government/district/province indicators
+  "đa khoa tỉnh",
+  "đa khoa khu vực",
+  "bệnh viện huyện",
+  "bệnh viện quận",
+  "trung tâm y tế",
+  "nhân dân",
+  "trung ương",
+  "bộ công an",
+  "công an",
+  // Specialty public hospitals
+  "chợ rẫy",
+  "bạch mai",
+  "nhi đồng",
+  "phụ sản",
+  "ung bướu",
+  "y học cổ truyền",
+  "từ dũ",
+  "việt đức",
+  "thống nhất",
+  "nhiệt đới",
+  "da liễu",
+  "tâm thần",
+  "tai mũi họng",
+  "răng hàm mặt",
+  "phổi",
+  "quân y",
+  "quân dân y",
+  "quân đội",
+  "đại học",
+  "y dược",
+  "hữu nghị",
+  "phục hồi chức năng",
+  "điều dưỡng",
+  "lão khoa",
+  "chấn thương",
+  "chỉnh hình",
+  "sản nhi",
+  "chuyên khoa",
+  "giao thông",
+  "gang thép",
+  "nông nghiệp",
+  "bưu điện",
+  "dệt may",
+  "nguyễn tri phương",
+  "hùng vương",
+  "việt tiệp",
+  "kiến an",
+  "dã chiến",
+  "30 tháng 4",
+  "27 tháng 2",
+  // Specialty public hospitals commonly missed
+  "sản -",
+  "nội tiết",
+  "mắt",
+  "tim mạch",
+  "tim hà",
+  "truyền máu",
+  "nhi hải",
+  "nhi thái",
+  "nhi thanh",
+  "nhi tỉnh",
+  "phạm ngọc",
+  "lao và bệnh phổi",
+  "bệnh phổi",
+  "sông hồng",
+  // More public patterns
+  "thể thao",
+  "việt nam - cuba",
+  "việt nam - thụy điển",
+  "xây dựng",
+  "than -",
+  "than vàng",
+  "tai-mũi-họng",
+  "trẻ em",
+  "tuệ tĩnh",
+  "bệnh xá",
+  "tĩnh túc",
+];
+
+// Regex for numbered hospitals (military/police) like "Bệnh viện 175",
+// "Bệnh viện Quân y 103"; matched on the diacritic-free name
+const NUMBERED_HOSPITAL_RE = /^benh vien\s+(quan y\s+)?\d+/;
+
+const PRIVATE_KEYWORDS = [
+  "quốc tế",
+  "international",
+  "phòng khám",
+  "clinic",
+  "medical center",
+  "medical centre",
+  "thẩm mỹ",
+  "bác sĩ",
+];
+
+// Private hospital groups and brands
+const PRIVATE_BRANDS = [
+  "vinmec",
+  "fv ",
+  "hoàn mỹ",
+  "thu cúc",
+  "tâm anh",
+  "medlatec",
+  "hồng ngọc",
+  "việt pháp",
+  "columbia",
+  "phyathai",
+  "mỹ đức",
+  "an sinh",
+  "hạnh phúc",
+  "vạn hạnh",
+  "triều an",
+  "đại phước",
+  "gia an",
+  "emg",
+  "tâm trí",
+  "hoàn hảo",
+  "lâm hoa",
+  "xuyên á",
+  "thiện hạnh",
+  "kinh bắc",
+  "tràng an",
+  "hợp lực",
+  "nam am",
+  "minh đức",
+  "ngọc phú",
+  "phenikaa",
+  "domedic",
+  "lê văn việt",
+  "hòa hảo",
+  "nhật tân",
+  "phước an",
+  "bình an",
+  "cát lâm",
+  "phương châu",
+];
+
+// Words both kinds of hospital use, so they only tip the balance:
+// most general hospitals (đa khoa) are public, but so are many brands' names
+const WEAK_KEYWORDS = {
+  "đa khoa": "public",
+  "thành phố": "public",
+  "sài gòn": "private",
+};
+
+// Who runs it, from the OSM `operator` tag
+const PUBLIC_OPERATORS = [
+  "sở y tế",
+  "bộ y tế",
+  "bộ quốc phòng",
+  "bộ công an",
+  "quân khu",
+  "quân đội",
+  "ủy ban nhân dân",
+  "ubnd",
+  "trung tâm y tế",
+  "ministry",
+  "government",
+];
+const PRIVATE_OPERATORS = [
+  "công ty",
+  "tập đoàn",
+  "cổ phần",
+  "tnhh",
+  "jsc",
+  "ltd",
+  "corporation",
+  "group",
+];
+
+// OSM `operator:type` values
+const OPERATOR_TYPES = {
+  public: "public",
+  government: "public",
+  military: "public",
+  private: "private",
+  commercial: "private",
+};
+
+// Known hospitals that are hard to classify by keyword
+const KNOWN_MAP = {
+  "bệnh viện chợ rẫy": "public",
+  "bệnh viện bạch mai": "public",
+  "bệnh viện việt đức": "public",
+  "bệnh viện từ dũ": "public",
+  "bệnh viện nhi đồng 1": "public",
+  "bệnh viện nhi đồng 2": "public",
+  "bệnh viện nhi trung ương": "public",
+  "bệnh viện 115": "public",
+  "bệnh viện 175": "public",
+  "bệnh viện hùng vương": "public",
+  "bệnh viện nguyễn tri phương": "public",
+  "bệnh viện bình dân": "public",
+  "bệnh viện a thái nguyên": "public",
+  "bệnh viện bãi cháy": "public",
+  "bệnh viện bến sắn": "public",
+  "bệnh viện fv": "private",
+  "bệnh viện vinmec": "private",
+  "bệnh viện hoàn mỹ": "private",
+  "bệnh viện tâm anh": "private",
+  "bệnh viện mắt sài gòn": "private",
+  // Sài Gòn's public general hospital, and private ones named after it
+  "bệnh viện đa khoa sài gòn": "public",
+  "bệnh viện đa khoa sài gòn - nam định": "private",
+  "bệnh viện đa khoa sài gòn nha trang": "private",
+  "benh vien da khoa binh dan": "public",
+  "benh vien y hoc co truyen tp da nang": "public",
+  "benh vien y hoc co truyen tp.da nang": "public",
+  "benh vien phu nu tp.da nang": "public",
+  "benh vien tu binh dan": "private",
+  "benh vien ngoai khoa nguyen van thai": "private",
+};
+
+// ─── Scoring ────────────────────────────────────────────────────────────────
+
+// Points each kind of signal gives its side
+const WEIGHTS = {
+  operatorType: 5,
+  known: 4,
+  operator: 3,
+  brand: 3,
+  numbered: 3,
+  keyword: 2,
+  weakKeyword: 1,
+};
+
+// A margin this large between the sides is full confidence
+const CERTAIN_MARGIN = 4;
+
+// Classifications below this confidence are worth a human look
+const REVIEW_BELOW = 0.5;
+
+// Whether `text` contains keyword `kw`. Names typed without diacritics are
+// also matched against the keyword's diacritic-free form, as a whole word.
+// Dashes of any kind match the keywords' "-".
+function matcher(text) {
+  const lower = text.toLowerCase().trim().replace(/[–—]/g, "-");
+  const ascii = removeDiacritics(lower);
+  const asciiOnly = ascii === lower;
+  return (kw) => {
+    if (lower.includes(kw)) return true;
+    if (!asciiOnly) return false;
+    const word = removeDiacritics(kw.trim()).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return new RegExp(`(^|[^a-z0-9])${word}($|[^a-z0-9])`).test(ascii);
+  };
+}
+
+// Known names, brands and keywords found in a name. A phrase inside a longer
+// one that matched too ("phổi" in "lao và bệnh phổi", "sài gòn" in a known
+// hospital's name) is the same signal and counts once.
+function nameSignals(name) {
+  const has = matcher(name);
+  const signals = [
+    ...Object.entries(KNOWN_MAP).map(([kw, type]) => ({ kw, type, weight: WEIGHTS.known, reason: `known hospital "${kw}"` })),
+    ...PRIVATE_BRANDS.map((kw) => ({ kw, type: "private", weight: WEIGHTS.brand, reason: `brand "${kw.trim()}"` })),
+    ...PRIVATE_KEYWORDS.map((kw) => ({ kw, type: "private", weight: WEIGHTS.keyword, reason: `name has "${kw}"` })),
+    ...PUBLIC_KEYWORDS.map((kw) => ({ kw, type: "public", weight: WEIGHTS.keyword, reason: `name has "${kw}"` })),
+    ...Object.entries(WEAK_KEYWORDS).map(([kw, type]) => ({ kw, type, weight: WEIGHTS.weakKeyword, reason: `name has "${kw}"` })),
+  ].filter((signal) => has(signal.kw));
+  return signals.filter(({ kw }) => !signals.some((other) => other.kw !== kw && other.kw.includes(kw.trim())));
+}
+
+/**
+ * Scores every public/private signal of a hospital.
+ * @param {string} name
+ * @param {object} [tags]  its OSM tags (`operator`, `operator:type`)
+ * @returns {{type: string, confidence: number, reasons: string[]}}
+ *   confidence is 0–1 (0 for "unclassified"); reasons read like
+ *   `public +2: name has "quân y"`
+ */
+function scoreType(name, tags = {}) {
+  const points = { public: 0, private: 0 };
+  const reasons = [];
+  const add = (type, weight, reason) => {
+    points[type] += weight;
+    reasons.push(`${type} +${weight}: ${reason}`);
+  };
+
+  const operatorType = OPERATOR_TYPES[tags["operator:type"]];
+  if (operatorType) add(operatorType, WEIGHTS.operatorType, `operator:type=${tags["operator:type"]}`);
+
+  if (tags.operator) {
+    const operatorHas = matcher(tags.operator);
+    if (PUBLIC_OPERATORS.some(operatorHas)) add("public", WEIGHTS.operator, `operator "${tags.operator}"`);
+    else if (PRIVATE_OPERATORS.some(operatorHas) || PRIVATE_BRANDS.some(operatorHas)) {
+      add("private", WEIGHTS.operator, `operator "${tags.operator}"`);
+    }
+  }
+
+  if (NUMBERED_HOSPITAL_RE.test(removeDiacritics(name.toLowerCase().trim()))) {
+    add("public", WEIGHTS.numbered, "numbered (military/police) hospital");
+  }
+  for (const { type, weight, reason } of nameSignals(name)) add(type, weight, reason);
+
+  const margin = points.public - points.private;
+  if (margin === 0) return { type: "unclassified", confidence: 0, reasons };
+  const confidence = Math.min(1, Math.abs(margin) / CERTAIN_MARGIN);
+  return { type: margin > 0 ? "public" : "private", confidence: Math.round(confidence * 100) / 100, reasons };
+}
+
+// Just the type, from the name alone
+function classify(name) {
+  return scoreType(name).type;
+}
+
+module.exports = {
+  PUBLIC_KEYWORDS,
+  PRIVATE_KEYWORDS,
+  PRIVATE_BRANDS,
+  WEAK_KEYWORDS,
+  KNOWN_MAP,
+  REVIEW_BELOW,
+  scoreType,
+  classify,
+};
@@ -1,116 +1,99 @@
 /**
  * Converts hospitals.csv back → hospitals.json after editing.
+ * Columns are read by their header names, so they can be reordered in the sheet.
+ *
+ * Rows are matched to the current records by `osmId`, else by the app `id`
+ * json-to-csv.js exports (or, in sheets without that column, the id the row's
+ * name + coordinates give), so fields the sheet doesn't have (specialties,
+ * aliases …) are kept. Cells that differ from the current data are recorded
+ * as manual edits, which the next OSM sync leaves alone (see sync.js); a
+ * renamed or moved record keeps its id, so links to it keep working. Rows
+ * matching no record are new, hand-added facilities. Rows deleted from the
+ * sheet are dropped.
+ *
  * Regenerates nameAscii, districtAscii, cityAscii fields automatically.
  * Run: node scripts/csv-to-json.js
  */
 
 const fs = require("fs");
 const path = require("path");
+const { parseCSVRecords } = require("./csv");
+const { hospitalId } = require("../hospital-id");
+const { markManual } = require("./sync");
+const { setAsciiFields } = require("./text");
+const { COLUMNS } = require("./json-to-csv");
 
 const csvPath = path.join(__dirname, "..", "data", "hospitals.csv");
 const jsonPath = path.join(__dirname, "..", "data", "hospitals.json");
 
-function removeDiacritics(str) {
-  return str
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/đ/g, "d")
-    .replace(/Đ/g, "D");
-}
-
-function parseCSV(text) {
-  const rows = [];
-  let current = "";
-  let inQuotes = false;
-  const lines = text.split("\n");
-
-  for (const line of lines) {
-    if (inQuotes) {
-      current += "\n" + line;
-    } else {
-      current = line;
-    }
-
-    const quoteCount = (current.match(/"/g) || []).length;
-    inQuotes = quoteCount % 2 !== 0;
-
-    if (!inQuotes) {
-      rows.push(parseCSVRow(current));
-      current = "";
-    }
-  }
+// Columns that can be edited; osmId and id only identify the row
+const EDITABLE = COLUMNS.filter((col) => col !== "osmId" && col !== "id");
 
-  return rows;
-}
-
-function parseCSVRow(row) {
-  const fields = [];
-  let current = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < row.length; i++) {
-    const ch = row[i];
-    if (inQuotes) {
-      if (ch === '"' && row[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else if (ch === '"') {
-        inQuotes = false;
-      } else {
-        current += ch;
+/**
+ * CSV text → hospital records, sorted by city → district → name.
+ * @param {string} csv
+ * @param {object[]} [existing]  the current hospitals.json records
+ */
+function csvToHospitals(csv, existing = []) {
+  const byOsmId = new Map(existing.filter((h) => h.osmId).map((h) => [h.osmId, h]));
+  const byId = new Map(existing.map((h) => [hospitalId(h), h]));
+  const matched = new Set();
+
+  const hospitals = parseCSVRecords(csv)
+    .filter((row) => row.name)
+    .map((row) => {
+      const edits = {};
+      for (const col of EDITABLE) edits[col] = row[col] || "";
+      let current = (row.osmId && byOsmId.get(row.osmId)) || byId.get(row.id || hospitalId(edits));
+      // A copied row is a new facility, not a second copy of the record
+      if (matched.has(current)) current = undefined;
+      else if (current) matched.add(current);
+      // Cells are read trimmed; that alone is no edit
+      for (const col of EDITABLE) {
+        if (typeof current?.[col] === "string" && current[col].trim() === edits[col]) edits[col] = current[col];
       }
-    } else {
-      if (ch === '"') {
-        inQuotes = true;
-      } else if (ch === ",") {
-        fields.push(current.trim());
-        current = "";
-      } else {
-        current += ch;
+      const record = current
+        ? { ...current }
+        : Object.fromEntries(EDITABLE.map((col) => [col, ""]));
+      const changed = markManual(record, edits);
+      // A type chosen by hand is certain
+      if (changed.includes("type")) {
+        record.typeConfidence = 1;
+        record.typeReasons = ["set by hand in hospitals.csv"];
       }
-    }
-  }
-  fields.push(current.trim());
-  return fields;
-}
-
-// ─── Main ───────────────────────────────────────────────────────────────────
-
-const csv = fs.readFileSync(csvPath, "utf-8");
-const rows = parseCSV(csv);
-const header = rows[0];
-const dataRows = rows.slice(1).filter((r) => r.length >= 2 && r[0]);
-
-const COLUMNS = ["name", "type", "district", "city", "address", "phone", "website", "mapsUrl"];
-
-const hospitals = dataRows.map((row) => {
-  const obj = {};
-  COLUMNS.forEach((col, i) => {
-    obj[col] = row[i] || "";
+      // Links use the id derived from the original name and coordinates
+      if (current && !record.id && (changed.includes("name") || changed.includes("mapsUrl"))) {
+        record.id = hospitalId(current);
+      }
+      // Auto-generate ASCII search fields
+      return setAsciiFields(record);
+    });
+
+  return hospitals.sort((a, b) => {
+    return (
+      a.city.localeCompare(b.city, "vi") ||
+      a.district.localeCompare(b.district, "vi") ||
+      a.name.localeCompare(b.name, "vi")
+    );
   });
+}
 
-  // Auto-generate ASCII search fields
-  obj.nameAscii = removeDiacritics(obj.name.toLowerCase());
-  obj.districtAscii = removeDiacritics(obj.district.toLowerCase());
-  obj.cityAscii = removeDiacritics(obj.city.toLowerCase());
+function main() {
+  const existing = fs.existsSync(jsonPath) ? JSON.parse(fs.readFileSync(jsonPath, "utf-8")) : [];
+  const hospitals = csvToHospitals(fs.readFileSync(csvPath, "utf-8"), existing);
 
-  return obj;
-});
+  // Stats
+  const pub = hospitals.filter((h) => h.type === "public").length;
+  const priv = hospitals.filter((h) => h.type === "private").length;
+  const unc = hospitals.filter((h) => h.type !== "public" && h.type !== "private").length;
+  const edited = hospitals.filter((h) => h.manual).length;
 
-// Sort by city → district → name
-hospitals.sort((a, b) => {
-  return (
-    a.city.localeCompare(b.city, "vi") ||
-    a.district.localeCompare(b.district, "vi") ||
-    a.name.localeCompare(b.name, "vi")
-  );
-});
+  fs.writeFileSync(jsonPath, JSON.stringify(hospitals, null, 2), "utf-8");
+  console.log(`Imported ${hospitals.length} hospitals → ${jsonPath}`);
+  console.log(`  Public: ${pub}  |  Private: ${priv}  |  Other: ${unc}`);
+  console.log(`  With manual edits (kept by the next OSM sync): ${edited}`);
+}
 
-// Stats
-const pub = hospitals.filter((h) => h.type === "public").length;
-const priv = hospitals.filter((h) => h.type === "private").length;
-const unc = hospitals.filter((h) => h.type !== "public" && h.type !== "private").length;
+if (require.main === module) main();
 
-fs.writeFileSync(jsonPath, JSON.stringify(hospitals, null, 2), "utf-8");
-console.log(`Imported ${hospitals.length} hospitals → ${jsonPath}`);
-console.log(`  Public: ${pub}  |  Private: ${priv}  |  Other: ${unc}`);
+module.exports = { csvToHospitals };
@@ -0,0 +1,99 @@
+/**
+ * Minimal CSV reading/writing for the data pipeline: the hospitals.csv
+ * round trip (json-to-csv.js / csv-to-json.js) and the admin-unit mapping
+ * tables (build-district-aliases.js). Handles quoted fields with commas,
+ * doubled quotes and line breaks.
+ */
+
+const fs = require("fs");
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+function parseCSVRow(row) {
+  const fields = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (inQuotes) {
+      if (ch === '"' && row[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        current += ch;
+      }
+    } else {
+      if (ch === '"') {
+        inQuotes = true;
+      } else if (ch === ",") {
+        fields.push(current);
+        current = "";
+      } else {
+        current += ch;
+      }
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+// Rows as arrays of fields; blank lines are skipped
+function parseCSV(text) {
+  const rows = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (const line of text.split(/\r?\n/)) {
+    current = inQuotes ? current + "\n" + line : line;
+
+    // An odd number of quotes so far means a quoted field continues on the next line
+    const quoteCount = (current.match(/"/g) || []).length;
+    inQuotes = quoteCount % 2 !== 0;
+
+    if (!inQuotes) {
+      if (current.trim()) rows.push(parseCSVRow(current));
+      current = "";
+    }
+  }
+
+  return rows;
+}
+
+// Rows as objects keyed by the header row, values trimmed
+function parseCSVRecords(text) {
+  const [header = [], ...rows] = parseCSV(text);
+  const columns = header.map((h) => h.trim());
+  return rows.map((fields) => {
+    const obj = {};
+    columns.forEach((col, i) => {
+      obj[col] = (fields[i] || "").trim();
+    });
+    return obj;
+  });
+}
+
+function readCSVRecords(filePath) {
+  return parseCSVRecords(fs.readFileSync(filePath, "utf-8"));
+}
+
+// ─── Writing ────────────────────────────────────────────────────────────────
+
+function escapeCSV(val) {
+  if (val === undefined || val === null || val === "") return "";
+  const str = String(val);
+  if (str.includes(",") || str.includes('"') || str.includes("\n")) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+function toCSV(columns, records) {
+  const header = columns.join(",");
+  const rows = records.map((r) => columns.map((col) => escapeCSV(r[col])).join(","));
+  return [header, ...rows].join("\n");
+}
+
+module.exports = { parseCSVRow, parseCSV, parseCSVRecords, readCSVRecords, escapeCSV, toCSV };
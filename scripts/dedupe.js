@@ -0,0 +1,284 @@
+/**
+ * "dedupe" stage of the data pipeline (scripts/hospital-data.js): finds
+ * facilities mapped more than once in OSM — as a node and a way, or spelled
+ * with and without diacritics — and merges them into one record.
+ *
+ * Candidates are records close together (or in the same district, when one
+ * has no coordinates) with similar names. Names identical once diacritics,
+ * case and words like "Bệnh viện" / "Đa khoa" are dropped merge on their own;
+ * the rest are proposed in data/pipeline/dedupe-report.json and merge only
+ * once accepted in data/duplicates.json:
+ *
+ *   {
+ *     "merge": [["way/456", "node/789"]],
+ *     "distinct": [["way/321", "node/654"]]
+ *   }
+ *
+ * Each entry lists a cluster's ids (osmId, or the app id for records without
+ * one) as the report shows them. A merged record keeps the first non-empty
+ * value of each field, the most certain classification and every specialty
+ * and alias, and lists the ids it absorbed in `mergedFrom`. It also lists
+ * their app ids in `formerIds`, published with it, so links to them and
+ * favorites of them lead to the merged record; its own app id is pinned if
+ * the merge changed its name.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hospitalId } = require("../hospital-id");
+const { extractCoords, haversine } = require("./geo");
+const { deriveSpecialties } = require("./specialties");
+const { removeDiacritics, toAscii, setAsciiFields } = require("./text");
+
+const DECISIONS_PATH = path.join(__dirname, "..", "data", "duplicates.json");
+
+// Records farther apart than this are different facilities
+const NEAR_KM = 0.3;
+
+// Name similarity (0–1) from which two nearby records are proposed
+const SIMILAR = 0.75;
+
+// Dropped before comparing names: nearly every hospital name has them
+const NOISE_WORDS_RE = /\b(benh vien|bv|da khoa|hospital|general)\b/g;
+
+// ─── Name similarity ────────────────────────────────────────────────────────
+
+function comparableName(name) {
+  return toAscii(name).replace(/[^a-z0-9]+/g, " ").replace(NOISE_WORDS_RE, " ").replace(/\s+/g, " ").trim();
+}
+
+function bigrams(text) {
+  const compact = text.replace(/ /g, "");
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+}
+
+/**
+ * Dice coefficient of the names' letter pairs, after comparableName().
+ * Names with different numbers ("Quận 1" / "Quận 11") or naming different
+ * specialties ("Bệnh viện Mắt tỉnh X" / "Bệnh viện Phổi tỉnh X") are never
+ * similar, and neither is a name made only of noise words ("Bệnh viện Đa
+ * khoa"), which says nothing about which hospital it is.
+ * @returns {number} 0–1
+ */
+function nameSimilarity(a, b) {
+  const x = comparableName(a);
+  const y = comparableName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if ((x.match(/\d+/g) || []).join() !== (y.match(/\d+/g) || []).join()) return 0;
+  if (deriveSpecialties(a).join() !== deriveSpecialties(b).join()) return 0;
+  const gx = bigrams(x);
+  const gy = bigrams(y);
+  if (gx.length === 0 || gy.length === 0) return 0;
+  const counts = new Map();
+  for (const g of gx) counts.set(g, (counts.get(g) || 0) + 1);
+  let shared = 0;
+  for (const g of gy) {
+    if (counts.get(g) > 0) {
+      shared++;
+      counts.set(g, counts.get(g) - 1);
+    }
+  }
+  return (2 * shared) / (gx.length + gy.length);
+}
+
+// ─── Clustering ─────────────────────────────────────────────────────────────
+
+// How the report and data/duplicates.json name a record
+function recordId(h) {
+  return h.osmId || hospitalId(h);
+}
+
+// Cluster key: its ids, sorted
+function clusterKey(ids) {
+  return [...ids].sort().join(" ");
+}
+
+/**
+ * Candidate duplicate pairs.
+ * @returns {Array<{a: number, b: number, similarity: number, distanceKm: number|null}>}
+ *   a and b index `hospitals`; distanceKm is null when either has no coordinates
+ */
+function findPairs(hospitals) {
+  const coords = hospitals.map((h) => extractCoords(h.mapsUrl));
+  const pairs = [];
+  for (let a = 0; a < hospitals.length; a++) {
+    for (let b = a + 1; b < hospitals.length; b++) {
+      const [ca, cb] = [coords[a], coords[b]];
+      let distanceKm = null;
+      if (ca && cb) {
+        // ~0.01° is about a kilometre; skip the haversine for most pairs
+        if (Math.abs(ca.lat - cb.lat) > 0.01 || Math.abs(ca.lon - cb.lon) > 0.01) continue;
+        distanceKm = haversine(ca.lat, ca.lon, cb.lat, cb.lon);
+        if (distanceKm > NEAR_KM) continue;
+      } else {
+        const district = toAscii(hospitals[a].district);
+        if (!district || district !== toAscii(hospitals[b].district)) continue;
+      }
+      const similarity = nameSimilarity(hospitals[a].name, hospitals[b].name);
+      // Without coordinates only identical names count
+      if (similarity === 1 || (distanceKm !== null && similarity >= SIMILAR)) {
+        pairs.push({ a, b, similarity: Math.round(similarity * 100) / 100, distanceKm });
+      }
+    }
+  }
+  return pairs;
+}
+
+// Groups of indexes joined by pairs (union-find)
+function clusters(count, pairs) {
+  const parent = Array.from({ length: count }, (_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (const { a, b } of pairs) parent[root(a)] = root(b);
+  const groups = new Map();
+  for (let i = 0; i < count; i++) {
+    if (!groups.has(root(i))) groups.set(root(i), []);
+    groups.get(root(i)).push(i);
+  }
+  return [...groups.values()].filter((g) => g.length > 1);
+}
+
+// ─── Merging ────────────────────────────────────────────────────────────────
+
+// Ways and relations outline the whole facility, so they lead over nodes
+function primaryOrder(a, b) {
+  const rank = (h) => (h.osmId ? (h.osmId.startsWith("node/") ? 1 : 0) : 2);
+  return rank(a) - rank(b) || recordId(a).localeCompare(recordId(b), "en", { numeric: true });
+}
+
+const hasDiacritics = (text) => removeDiacritics(text) !== text;
+
+const isEmpty = (value) => value === undefined || value === null || value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * One record from a cluster of duplicates.
+ * @param {object[]} members
+ */
+function mergeCluster(members) {
+  const [primary, ...others] = [...members].sort(primaryOrder);
+  const merged = { ...primary };
+
+  for (const h of others) {
+    for (const [field, value] of Object.entries(h)) {
+      if (isEmpty(value)) continue;
+      if (isEmpty(merged[field])) merged[field] = value;
+      else if (Array.isArray(value)) merged[field] = [...new Set([...merged[field], ...value])];
+    }
+  }
+
+  // A name typed with diacritics over one typed without
+  if (!hasDiacritics(merged.name)) merged.name = members.map((h) => h.name).find(hasDiacritics) || merged.name;
+
+  // The most certain classification, with its reasons
+  const surest = members.reduce((best, h) => ((h.typeConfidence ?? 0) > (best.typeConfidence ?? 0) ? h : best), primary);
+  for (const field of ["type", "typeConfidence", "typeReasons"]) {
+    if (field in surest) merged[field] = surest[field];
+  }
+
+  const absorbed = others.flatMap((h) => [recordId(h), ...(h.mergedFrom || [])]);
+  merged.mergedFrom = [...new Set([...(primary.mergedFrom || []), ...absorbed])];
+
+  // Links use the primary's app id; the others' lead here through formerIds
+  const id = hospitalId(primary);
+  delete merged.id;
+  if (hospitalId(merged) !== id) merged.id = id;
+  const former = members.flatMap((h) => [hospitalId(h), ...(h.formerIds || [])]);
+  merged.formerIds = [...new Set(former)].filter((other) => other !== id);
+  return setAsciiFields(merged);
+}
+
+/**
+ * @param {object[]} hospitals
+ * @param {{merge?: string[][], distinct?: string[][]}} [decisions]
+ * @returns {{hospitals: object[], report: {merged: object[], proposed: object[], distinct: object[], stale: string[][]}}}
+ */
+function dedupe(hospitals, decisions = {}) {
+  const accepted = new Set((decisions.merge || []).map(clusterKey));
+  const rejected = new Set((decisions.distinct || []).map(clusterKey));
+  const pairs = findPairs(hospitals);
+  const report = { merged: [], proposed: [], distinct: [], stale: [] };
+  const seenKeys = new Set();
+  const replaced = new Map(); // first member's index → merged record
+  const dropped = new Set();
+
+  for (const group of clusters(hospitals.length, pairs)) {
+    const members = group.map((i) => hospitals[i]);
+    const ids = members.map(recordId);
+    const key = clusterKey(ids);
+    seenKeys.add(key);
+    const inGroup = pairs.filter((p) => group.includes(p.a) && group.includes(p.b));
+    const entry = {
+      ids,
+      names: members.map((h) => h.name),
+      similarity: Math.min(...inGroup.map((p) => p.similarity)),
+      distanceKm: null,
+    };
+    const distances = inGroup.map((p) => p.distanceKm).filter((d) => d !== null);
+    if (distances.length > 0) entry.distanceKm = Math.round(Math.max(...distances) * 1000) / 1000;
+
+    const identical = inGroup.every((p) => p.similarity === 1);
+    if (rejected.has(key)) {
+      report.distinct.push(entry);
+      continue;
+    }
+    if (!identical && !accepted.has(key)) {
+      report.proposed.push(entry);
+      continue;
+    }
+    const merged = mergeCluster(members);
+    replaced.set(group[0], merged);
+    for (const i of group.slice(1)) dropped.add(i);
+    report.merged.push({ ...entry, into: recordId(merged), reason: identical ? "same name" : "accepted" });
+  }
+
+  for (const ids of [...(decisions.merge || []), ...(decisions.distinct || [])]) {
+    if (!seenKeys.has(clusterKey(ids))) report.stale.push(ids);
+  }
+
+  const kept = hospitals.flatMap((h, i) => (dropped.has(i) ? [] : [replaced.get(i) || h]));
+  return { hospitals: kept, report };
+}
+
+// ─── Stage ──────────────────────────────────────────────────────────────────
+
+function readDecisions(file) {
+  if (!fs.existsSync(file)) return {};
+  const decisions = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const valid = (list) => list === undefined ||
+    (Array.isArray(list) && list.every((ids) => Array.isArray(ids) && ids.length > 1 && ids.every((id) => typeof id === "string")));
+  if (!valid(decisions.merge) || !valid(decisions.distinct)) {
+    throw new Error(`Invalid ${path.basename(file)}: "merge" and "distinct" must be lists of id lists`);
+  }
+  return decisions;
+}
+
+/**
+ * @param {object[]} hospitals
+ * @param {{dryRun: boolean, log: function}} ctx
+ * @param {{file?: string, reportFile?: string}} [options]
+ *   file: the merge decisions (default data/duplicates.json); reportFile:
+ *   where to write the review report (not in a dry run)
+ */
+function run(hospitals, { dryRun, log }, options = {}) {
+  const result = dedupe(hospitals, readDecisions(options.file || DECISIONS_PATH));
+  const { merged, proposed, stale } = result.report;
+  const auto = merged.filter((m) => m.reason === "same name").length;
+
+  log(`Merged ${merged.length} duplicate groups (${auto} by name, ${merged.length - auto} accepted)`);
+  if (proposed.length > 0) {
+    log(`${proposed.length} possible duplicates to review — accept them in data/duplicates.json`);
+  }
+  for (const ids of stale) log(`  stale decision: ${ids.join(", ")} is no longer a duplicate group`);
+
+  if (options.reportFile && !dryRun) {
+    const text = JSON.stringify({ dedupedAt: new Date().toISOString(), ...result.report }, null, 2);
+    fs.writeFileSync(options.reportFile, text + "\n", "utf-8");
+    if (proposed.length > 0) log(`Review: ${path.relative(process.cwd(), options.reportFile)}`);
+  }
+  return result.hospitals;
+}
+
+module.exports = { DECISIONS_PATH, nameSimilarity, findPairs, mergeCluster, dedupe, run };
@@ -0,0 +1,71 @@
+/**
+ * Record-level differences between two versions of the hospital list:
+ * what a pipeline stage added, removed or changed (shown by dry runs).
+ */
+
+const { hospitalId } = require("../hospital-id");
+
+// Records are matched by OSM element id ("node/123"), or by app id (name +
+// coordinates, see hospital-id.js) for records that don't come from OSM
+function recordKey(h) {
+  return h.osmId || hospitalId(h);
+}
+
+// The *Ascii fields only mirror other fields, so they'd just double the noise
+function changedFields(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(
+    (key) => !key.endsWith("Ascii") && JSON.stringify(before[key]) !== JSON.stringify(after[key]),
+  );
+}
+
+/**
+ * @param {object[]} before
+ * @param {object[]} after
+ * @returns {{added: object[], removed: object[],
+ *            changed: Array<{before: object, after: object, fields: string[]}>}}
+ */
+function diffRecords(before, after, keyOf = recordKey) {
+  const previous = new Map(before.map((h) => [keyOf(h), h]));
+  const seen = new Set();
+  const added = [];
+  const changed = [];
+
+  for (const h of after) {
+    const key = keyOf(h);
+    seen.add(key);
+    const prev = previous.get(key);
+    if (!prev) {
+      added.push(h);
+      continue;
+    }
+    const fields = changedFields(prev, h);
+    if (fields.length > 0) changed.push({ before: prev, after: h, fields });
+  }
+
+  const removed = before.filter((h) => !seen.has(keyOf(h)));
+  return { added, removed, changed };
+}
+
+function formatValue(value) {
+  const text = value === undefined ? "(none)" : JSON.stringify(value);
+  return text.length > 60 ? text.slice(0, 57) + "..." : text;
+}
+
+// Human-readable lines, at most `limit` per kind of change
+function formatDiff({ added, removed, changed }, limit = 10) {
+  const lines = [`${added.length} added, ${removed.length} removed, ${changed.length} changed`];
+  const list = (items, format) => {
+    for (const item of items.slice(0, limit)) lines.push(format(item));
+    if (items.length > limit) lines.push(`  … and ${items.length - limit} more`);
+  };
+  list(added, (h) => `+ ${h.name}`);
+  list(removed, (h) => `- ${h.name}`);
+  list(changed, ({ before, after, fields }) =>
+    `~ ${after.name}: ` +
+    fields.map((f) => `${f} ${formatValue(before[f])} → ${formatValue(after[f])}`).join("; "),
+  );
+  return lines;
+}
+
+module.exports = { recordKey, diffRecords, formatDiff };
@@ -0,0 +1,62 @@
+/**
+ * Coordinate helpers shared by the data pipeline scripts.
+ */
+
+// ─── Extract coords from hospital mapsUrl ───────────────────────────────────
+
+function extractCoords(mapsUrl) {
+  if (!mapsUrl) return null;
+  const match = mapsUrl.match(/query=([-\d.]+),([-\d.]+)/);
+  if (!match) return null;
+  return { lat: parseFloat(match[1]), lon: parseFloat(match[2]) };
+}
+
+// The Google Maps link records carry their coordinates in
+function toMapsUrl(lat, lon) {
+  return `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`;
+}
+
+// ─── Parse bounding box "lat1,lon1 – lat2,lon2" ────────────────────────────
+
+function parseBounds(boundsStr) {
+  if (!boundsStr) return null;
+  const parts = boundsStr.split("–").map((s) => s.trim());
+  if (parts.length !== 2) return null;
+
+  const [lat1, lon1] = parts[0].split(",").map(Number);
+  const [lat2, lon2] = parts[1].split(",").map(Number);
+
+  if ([lat1, lon1, lat2, lon2].some(isNaN)) return null;
+
+  return {
+    minLat: Math.min(lat1, lat2),
+    maxLat: Math.max(lat1, lat2),
+    minLon: Math.min(lon1, lon2),
+    maxLon: Math.max(lon1, lon2),
+  };
+}
+
+function isInBounds(lat, lon, bounds) {
+  return (
+    lat >= bounds.minLat &&
+    lat <= bounds.maxLat &&
+    lon >= bounds.minLon &&
+    lon <= bounds.maxLon
+  );
+}
+
+// ─── Haversine distance (km) ────────────────────────────────────────────────
+
+function haversine(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((lat1 * Math.PI) / 180) *
+      Math.cos((lat2 * Math.PI) / 180) *
+      Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+module.exports = { extractCoords, toMapsUrl, parseBounds, isInBounds, haversine };
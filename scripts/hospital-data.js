@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * hospital-data — builds data/hospitals.json from OpenStreetMap in named
+ * stages, each leaving its result in data/pipeline/:
+ *
+ *   fetch      OpenStreetMap hospitals, classified        → osm.json
+ *   dedupe     facilities mapped twice, merged            → deduped.json
+ *   geocode    missing city/district/address (Nominatim)  → geocoded.json
+ *   normalize  canonical city/district names, specialties → normalized.json
+ *   admin      old district / new ward, search aliases    → admin-mapped.json
+ *   overrides  corrections from data/overrides.json       → overridden.json
+ *   publish    the dataset the site loads + search bundle → data/hospitals.json
+ *
+ * Stages whose inputs haven't changed since their last run are skipped (see
+ * scripts/pipeline.js). Besides data/pipeline/manifest.json, which records
+ * what ran, each run leaves reports there:
+ *
+ *   sync-report.json       what changed in OSM since the previous fetch
+ *   dedupe-report.json     records merged, and possible duplicates to review
+ *                          (see scripts/dedupe.js)
+ *   overrides-report.json  overrides applied, stale or no longer needed
+ *                          (see scripts/overrides.js)
+ *
+ * Publishing merges into the current data/hospitals.json, so fields edited by
+ * hand (see scripts/sync.js) survive.
+ *
+ * data/pipeline/ is not committed, so on a fresh checkout the stages after
+ * fetch have nothing to read. `npm run enrich` redoes them from the committed
+ * dataset instead, without calling Overpass:
+ *
+ *   node scripts/hospital-data.js --from dedupe --input data/hospitals.json
+ *
+ * Usage: node scripts/hospital-data.js [options]   (npm run data -- [options])
+ *   --from <stage>   first stage to run (default: fetch)
+ *   --to <stage>     last stage to run (default: publish)
+ *   --input <file>   read the first stage's input from this file instead
+ *                    of the previous stage's artifact
+ *   --overpass <file>  fetch from a saved Overpass response, not the live API
+ *   --dry-run        write nothing; show what each stage would change
+ *   --force          run stages even when they're up to date
+ *   --list           show the stages and when they last ran
+ */
+
+const path = require("path");
+const { parseArgs } = require("util");
+const { runPipeline, readManifest, MANIFEST_FILE } = require("./pipeline");
+const fetchOsm = require("./fetch-osm");
+const dedupe = require("./dedupe");
+const reverseGeocode = require("./reverse-geocode");
+const normalizeCities = require("./normalize-cities");
+const buildSpecialties = require("./build-specialties");
+const districtAliases = require("./build-district-aliases");
+const overrides = require("./overrides");
+const { DATA_PATH, buildBundle } = require("./build-index");
+const { mergeRecords } = require("./sync");
+
+const PIPELINE_DIR = path.join(__dirname, "..", "data", "pipeline");
+
+// Bump a stage's version whenever its code changes what it produces, so the
+// next run redoes it (and whatever its new output affects).
+// options.overpass: saved Overpass response for the fetch stage; options.dir:
+// where stages write their reports (default data/pipeline)
+function createStages(options = {}) {
+  const report = (file) => path.join(options.dir || PIPELINE_DIR, file);
+  return [
+    {
+      name: "fetch",
+      version: 4,
+      output: "osm.json",
+      // A saved response is an input like any other; the live API never is
+      remote: !options.overpass,
+      inputs: options.overpass ? [options.overpass] : [],
+      run: (input, ctx) =>
+        fetchOsm.run(input, ctx, {
+          responseFile: options.overpass,
+          reportFile: report("sync-report.json"),
+        }),
+    },
+    {
+      name: "dedupe",
+      version: 2,
+      output: "deduped.json",
+      inputs: [dedupe.DECISIONS_PATH],
+      run: (hospitals, ctx) =>
+        dedupe.run(hospitals, ctx, { reportFile: report("dedupe-report.json") }),
+    },
+    {
+      name: "geocode",
+      version: 1,
+      output: "geocoded.json",
+      run: reverseGeocode.run,
+    },
+    {
+      name: "normalize",
+      version: 1,
+      output: "normalized.json",
+      run: (hospitals, ctx) => buildSpecialties.run(normalizeCities.run(hospitals, ctx), ctx),
+    },
+    {
+      name: "admin",
+      version: 1,
+      output: "admin-mapped.json",
+      inputs: districtAliases.MAPPING_FILES,
+      run: districtAliases.run,
+    },
+    {
+      name: "overrides",
+      version: 1,
+      output: "overridden.json",
+      inputs: [overrides.OVERRIDES_PATH],
+      run: (hospitals, ctx) =>
+        overrides.run(hospitals, ctx, { reportFile: report("overrides-report.json") }),
+    },
+    {
+      name: "publish",
+      version: 2,
+      output: DATA_PATH,
+      run: (hospitals, ctx) => {
+        const merged = mergeRecords(ctx.previous || [], hospitals);
+        buildBundle(merged, ctx);
+        return merged;
+      },
+    },
+  ];
+}
+
+const STAGES = createStages();
+
+function list() {
+  const manifest = readManifest(path.join(PIPELINE_DIR, MANIFEST_FILE));
+  for (const stage of STAGES) {
+    const entry = manifest.stages[stage.name];
+    let status = "never run";
+    if (entry) {
+      status = `${entry.count} records, ${entry.ranAt}`;
+      if (entry.version !== stage.version) status += ` (ran v${entry.version}, now v${stage.version})`;
+    }
+    console.log(`${stage.name.padEnd(10)} v${stage.version}  ${status}`);
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      input: { type: "string" },
+      overpass: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      force: { type: "boolean", default: false },
+      list: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(
+      "Usage: hospital-data [--from stage] [--to stage] [--input file] [--overpass file] [--dry-run] [--force] [--list]",
+    );
+    console.log(`Stages: ${STAGES.map((s) => s.name).join(" → ")}`);
+    return;
+  }
+  if (values.list) {
+    list();
+    return;
+  }
+
+  await runPipeline(createStages({ overpass: values.overpass && path.resolve(values.overpass) }), {
+    dir: PIPELINE_DIR,
+    from: values.from,
+    to: values.to,
+    input: values.input && path.resolve(values.input),
+    dryRun: values["dry-run"],
+    force: values.force,
+  });
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Error:", err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { STAGES, createStages };
@@ -5,25 +5,26 @@
 
 const fs = require("fs");
 const path = require("path");
+const { hospitalId } = require("../hospital-id");
+const { toCSV } = require("./csv");
 
 const dataPath = path.join(__dirname, "..", "data", "hospitals.json");
 const csvPath = path.join(__dirname, "..", "data", "hospitals.csv");
 
-const data = JSON.parse(fs.readFileSync(dataPath, "utf-8"));
+const COLUMNS = ["name", "type", "district", "city", "oldDistrict", "oldProvince", "newWard", "newProvince", "address", "phone", "website", "mapsUrl", "osmId", "id"];
 
-const COLUMNS = ["name", "type", "district", "city", "oldDistrict", "oldProvince", "newWard", "newProvince", "address", "phone", "website", "mapsUrl"];
+// Every row carries the record's app id, so csv-to-json.js finds the record
+// again after its name or coordinates were edited
+function hospitalsToCSV(hospitals) {
+  return toCSV(COLUMNS, hospitals.map((h) => ({ ...h, id: hospitalId(h) })));
+}
 
-function escapeCSV(val) {
-  if (!val) return "";
-  const str = String(val);
-  if (str.includes(",") || str.includes('"') || str.includes("\n")) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  return str;
+function main() {
+  const data = JSON.parse(fs.readFileSync(dataPath, "utf-8"));
+  fs.writeFileSync(csvPath, hospitalsToCSV(data), "utf-8");
+  console.log(`Exported ${data.length} hospitals → ${csvPath}`);
 }
 
-const header = COLUMNS.join(",");
-const rows = data.map((h) => COLUMNS.map((col) => escapeCSV(h[col])).join(","));
+if (require.main === module) main();
 
-fs.writeFileSync(csvPath, [header, ...rows].join("\n"), "utf-8");
-console.log(`Exported ${data.length} hospitals → ${csvPath}`);
+module.exports = { COLUMNS, hospitalsToCSV };
@@ -0,0 +1,211 @@
+/**
+ * "overrides" stage of the data pipeline (scripts/hospital-data.js): applies
+ * the hand-maintained corrections in data/overrides.json, last, on top of
+ * everything built from OSM — instead of growing the classification keyword
+ * lists (classify.js) or the city map (address.js) for one-off fixes.
+ *
+ * The file maps a hospital id to its corrections. The id is either the OSM
+ * element id ("way/456") or the app's id (the `?hospital=` value of the
+ * detail link, see hospital-id.js):
+ *
+ *   {
+ *     "way/456": { "type": "public", "note": "Bệnh viện quân đội" },
+ *     "benh-vien-a-1x2y3z": { "name": "Bệnh viện A", "coords": { "lat": 10.77, "lon": 106.69 } },
+ *     "node/789": { "exclude": "Phòng khám, không phải bệnh viện" },
+ *     "way/321": { "duplicateOf": "way/456" }
+ *   }
+ *
+ * Renaming or moving a record pins its id, so links to it keep working.
+ * Moving one doesn't redo its district / ward mapping — set those in the CSV.
+ * The stage fails on an invalid file, and reports overrides that no longer
+ * match any record or no longer change anything.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { hospitalId } = require("../hospital-id");
+const { SPECIALTIES } = require("./specialties");
+const { toMapsUrl } = require("./geo");
+const { setAsciiFields } = require("./text");
+
+const OVERRIDES_PATH = path.join(__dirname, "..", "data", "overrides.json");
+
+const TYPES = ["public", "private", "unclassified"];
+
+// Fields an override can correct (the rest remove the record, or document it)
+const CORRECTIONS = ["type", "name", "phone", "website", "coords", "specialties"];
+
+// Field → problem with the value, or null if it is valid
+const CHECKS = {
+  type: (v) => (TYPES.includes(v) ? null : `must be one of ${TYPES.join(", ")}`),
+  name: (v) => (typeof v === "string" && v.trim() ? null : "must be a non-empty string"),
+  phone: (v) => (typeof v === "string" ? null : "must be a string"),
+  website: (v) => (v === "" || /^https?:\/\/\S+$/.test(v) ? null : "must be an http(s) URL or empty"),
+  coords: (v) =>
+    typeof v?.lat === "number" && typeof v?.lon === "number" && Math.abs(v.lat) <= 90 && Math.abs(v.lon) <= 180
+      ? null
+      : "must be {lat, lon} in degrees",
+  specialties: (v) => {
+    if (!Array.isArray(v)) return "must be a list of specialty ids";
+    const unknown = v.filter((id) => !SPECIALTIES.some((s) => s.id === id));
+    return unknown.length ? `unknown specialty ${unknown.join(", ")}` : null;
+  },
+  exclude: (v) => (v === true || (typeof v === "string" && v.trim()) ? null : "must be true or a reason"),
+  duplicateOf: (v) => (typeof v === "string" && v ? null : "must be a hospital id"),
+  note: (v) => (typeof v === "string" ? null : "must be a string"),
+};
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} overrides  the parsed overrides file
+ * @returns {string[]} one line per problem, empty if the file is valid
+ */
+function validateOverrides(overrides) {
+  if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return ["must be an object mapping hospital ids to overrides"];
+  }
+  const problems = [];
+  for (const [id, override] of Object.entries(overrides)) {
+    if (!override || typeof override !== "object" || Array.isArray(override)) {
+      problems.push(`${id}: must be an object`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(override)) {
+      const check = CHECKS[field];
+      const problem = check ? check(value) : `unknown field (fields: ${Object.keys(CHECKS).join(", ")})`;
+      if (problem) problems.push(`${id}: ${field} ${problem}`);
+    }
+    if (override.duplicateOf === id) problems.push(`${id}: duplicateOf names the record itself`);
+    if ((override.exclude || override.duplicateOf) && CORRECTIONS.some((f) => f in override)) {
+      problems.push(`${id}: a removed record can't have field corrections too`);
+    }
+  }
+  return problems;
+}
+
+function readOverrides(file) {
+  if (!fs.existsSync(file)) return {};
+  const overrides = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const problems = validateOverrides(overrides);
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${path.basename(file)}:\n  ${problems.join("\n  ")}`);
+  }
+  return overrides;
+}
+
+// ─── Applying ───────────────────────────────────────────────────────────────
+
+const TYPE_REASON = "set in overrides.json";
+
+// Field → (record, value) → whether the record changed
+const FIELD_SETTERS = {
+  // A type set here is certain, so confirming a doubtful guess is a change too
+  type: (h, value) => {
+    if (h.type === value && (h.typeConfidence ?? 1) === 1) return false;
+    h.type = value;
+    h.typeConfidence = 1;
+    h.typeReasons = [TYPE_REASON];
+    return true;
+  },
+  name: setField("name"),
+  phone: setField("phone"),
+  website: setField("website"),
+  coords: (h, { lat, lon }) => setField("mapsUrl")(h, toMapsUrl(lat, lon)),
+  specialties: (h, ids) => setField("specialties")(h, [...ids].sort()),
+};
+
+function setField(field) {
+  return (h, value) => {
+    if (JSON.stringify(h[field]) === JSON.stringify(value)) return false;
+    h[field] = value;
+    return true;
+  };
+}
+
+/**
+ * @param {object[]} hospitals
+ * @param {object} overrides  a valid overrides file
+ * @returns {{hospitals: object[], report: {applied: object[], stale: object[], redundant: string[]}}}
+ *   applied: overrides that changed or removed a record; stale: ones naming
+ *   no record (or a duplicate of a record that is gone); redundant: ones
+ *   whose corrections upstream data already has
+ */
+function applyOverrides(hospitals, overrides) {
+  const byId = new Map();
+  for (const h of hospitals) {
+    if (h.osmId) byId.set(h.osmId, h);
+    byId.set(hospitalId(h), h);
+  }
+
+  const report = { applied: [], stale: [], redundant: [] };
+  const removed = new Set();
+  const corrected = new Map(); // original record → corrected copy
+
+  for (const [id, override] of Object.entries(overrides)) {
+    const h = byId.get(id);
+    if (!h) {
+      report.stale.push({ id, reason: "no record with this id" });
+      continue;
+    }
+    if (override.exclude) {
+      removed.add(h);
+      report.applied.push({ id, name: h.name, removed: "excluded" });
+      continue;
+    }
+    if (override.duplicateOf) {
+      if (!byId.has(override.duplicateOf)) {
+        report.stale.push({ id, reason: `duplicateOf ${override.duplicateOf}: no record with this id` });
+        continue;
+      }
+      removed.add(h);
+      report.applied.push({ id, name: h.name, removed: `duplicate of ${override.duplicateOf}` });
+      continue;
+    }
+
+    const record = { ...(corrected.get(h) || h) };
+    const changed = CORRECTIONS.filter((f) => f in override && FIELD_SETTERS[f](record, override[f]));
+    if (changed.length === 0) {
+      report.redundant.push(id);
+      continue;
+    }
+    // Links use the id derived from the original name and coordinates
+    if (!record.id && (changed.includes("name") || changed.includes("coords"))) record.id = hospitalId(h);
+    // Record fields, as hand edits in the CSV name them (see sync.js)
+    const fields = changed.map((f) => (f === "coords" ? "mapsUrl" : f));
+    record.overridden = [...new Set([...(record.overridden || []), ...fields])].sort();
+    corrected.set(h, setAsciiFields(record));
+    report.applied.push({ id, name: record.name, fields: changed });
+  }
+
+  const kept = hospitals.filter((h) => !removed.has(h)).map((h) => corrected.get(h) || h);
+  return { hospitals: kept, report };
+}
+
+// ─── Stage ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} hospitals
+ * @param {{dryRun: boolean, log: function}} ctx
+ * @param {{file?: string, reportFile?: string}} [options]
+ *   file: the overrides file (default data/overrides.json); reportFile: where
+ *   to write the report (not in a dry run)
+ */
+function run(hospitals, { dryRun, log }, options = {}) {
+  const file = options.file || OVERRIDES_PATH;
+  const overrides = readOverrides(file);
+  const result = applyOverrides(hospitals, overrides);
+  const { applied, stale, redundant } = result.report;
+
+  log(`Applied ${applied.length} of ${Object.keys(overrides).length} overrides from ${path.basename(file)}`);
+  for (const { id, reason } of stale) log(`  stale: ${id} — ${reason}`);
+  if (redundant.length > 0) log(`  no longer needed (upstream already agrees): ${redundant.join(", ")}`);
+
+  if (options.reportFile && !dryRun) {
+    const text = JSON.stringify({ appliedAt: new Date().toISOString(), ...result.report }, null, 2);
+    fs.writeFileSync(options.reportFile, text + "\n", "utf-8");
+  }
+  return result.hospitals;
+}
+
+module.exports = { OVERRIDES_PATH, validateOverrides, readOverrides, applyOverrides, run };
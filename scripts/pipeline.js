@@ -0,0 +1,143 @@
+/**
+ * Runs data pipeline stages in order. Each stage reads the previous stage's
+ * artifact (a JSON array of hospital records) and writes its own, so any
+ * range of stages can be re-run without starting over.
+ *
+ * A manifest next to the artifacts records, per stage, the version that ran,
+ * a hash of its inputs and of its output. A stage whose version and input
+ * hash match, and whose artifact is still what it wrote, is skipped — so after
+ * a change only the stages it affects run again.
+ *
+ * A stage is {name, version, output, inputs?, remote?, run(records, ctx)}:
+ *   output  artifact path, relative to the pipeline directory or absolute
+ *   inputs  other files the result depends on (hashed with the artifact)
+ *   remote  depends on outside data (OSM), so it is never up to date
+ *   run     returns the new records (may be async); gets null as the first
+ *           stage. ctx = {dryRun, log, previous}, `previous` being the
+ *           stage's last output (null if none); a dry run must not write
+ *           anything.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { diffRecords, formatDiff } = require("./diff");
+
+const MANIFEST_FILE = "manifest.json";
+
+function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 16);
+}
+
+function inputHash(stage, inputText) {
+  const hash = crypto.createHash("sha256");
+  hash.update(inputText === null ? "" : inputText);
+  for (const file of stage.inputs || []) {
+    hash.update(`\n${path.basename(file)}\n`);
+    hash.update(fs.existsSync(file) ? fs.readFileSync(file) : "(missing)");
+  }
+  return hash.digest("hex").slice(0, 16);
+}
+
+function readManifest(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return { stages: {} };
+  }
+}
+
+// Stages from `from` to `to` (names), inclusive
+function stageRange(stages, from, to) {
+  const names = stages.map((s) => s.name);
+  const index = (name, fallback) => {
+    if (!name) return fallback;
+    const i = names.indexOf(name);
+    if (i === -1) throw new Error(`Unknown stage "${name}" (stages: ${names.join(", ")})`);
+    return i;
+  };
+  const start = index(from, 0);
+  const end = index(to, stages.length - 1);
+  if (start > end) throw new Error(`--from ${from} comes after --to ${to}`);
+  return stages.slice(start, end + 1);
+}
+
+/**
+ * @param {object[]} stages  all stages, in order
+ * @param {{dir: string, from?: string, to?: string, dryRun?: boolean,
+ *          force?: boolean, input?: string, log?: function}} options
+ *   `input` replaces the artifact the first selected stage would read
+ * @returns {Promise<Array<{stage: string, skipped?: boolean, diff?: object}>>}
+ */
+async function runPipeline(stages, options) {
+  const { dir, dryRun = false, force = false, log = console.log } = options;
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  const manifest = readManifest(manifestPath);
+  const outputPath = (stage) => path.resolve(dir, stage.output);
+  const selected = stageRange(stages, options.from, options.to);
+
+  let inputText = null;
+  const previous = stages[stages.indexOf(selected[0]) - 1];
+  if (options.input || previous) {
+    const file = options.input || outputPath(previous);
+    if (!fs.existsSync(file)) {
+      const hint = options.input ? "" : ` — run the "${previous.name}" stage first, or pass --input`;
+      throw new Error(`${path.relative(process.cwd(), file)} not found${hint}`);
+    }
+    inputText = fs.readFileSync(file, "utf-8");
+  }
+
+  // Stages write their reports next to the artifacts, from the first one on
+  if (!dryRun) fs.mkdirSync(dir, { recursive: true });
+
+  const results = [];
+  for (const stage of selected) {
+    const out = outputPath(stage);
+    const hash = inputHash(stage, inputText);
+    const entry = manifest.stages[stage.name];
+    const current = fs.existsSync(out) ? fs.readFileSync(out, "utf-8") : null;
+    const untouched = current !== null && entry && hashText(current) === entry.outputHash;
+
+    if (!force && !stage.remote && untouched && entry.version === stage.version && entry.inputHash === hash) {
+      log(`${stage.name}: up to date`);
+      results.push({ stage: stage.name, skipped: true });
+      inputText = current;
+      continue;
+    }
+
+    log(`${stage.name}: running (v${stage.version})${dryRun ? " — dry run" : ""}`);
+    const previous = current === null ? null : JSON.parse(current);
+    const ctx = { dryRun, log: (message) => log(`  ${message}`), previous };
+    const records = await stage.run(inputText === null ? null : JSON.parse(inputText), ctx);
+    const text = JSON.stringify(records, null, 2);
+    const diff = diffRecords(previous || [], records);
+
+    if (dryRun) {
+      if (current === null) log(`  would create ${path.relative(process.cwd(), out)} with ${records.length} records`);
+      else for (const line of formatDiff(diff)) log(`  ${line}`);
+    } else {
+      if (entry && current !== null && !untouched) {
+        log(`  ${path.relative(process.cwd(), out)} was edited since the last run`);
+      }
+      fs.mkdirSync(path.dirname(out), { recursive: true });
+      fs.writeFileSync(out, text, "utf-8");
+      manifest.stages[stage.name] = {
+        version: stage.version,
+        inputHash: hash,
+        output: path.relative(dir, out),
+        outputHash: hashText(text),
+        count: records.length,
+        ranAt: new Date().toISOString(),
+      };
+      // Written after every stage, so a failure later keeps what finished
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n", "utf-8");
+      log(`  ${formatDiff(diff, 0)[0]} → ${path.relative(process.cwd(), out)}`);
+    }
+
+    results.push({ stage: stage.name, diff });
+    inputText = text;
+  }
+  return results;
+}
+
+module.exports = { MANIFEST_FILE, readManifest, stageRange, runPipeline };
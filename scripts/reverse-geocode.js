@@ -1,42 +1,27 @@
 /**
- * Reverse geocodes all hospitals using Nominatim (free, OpenStreetMap).
- * Fills in missing city, district, and address fields from GPS coordinates.
+ * "geocode" stage of the data pipeline (scripts/hospital-data.js): reverse
+ * geocodes hospitals using Nominatim (free, OpenStreetMap) and fills in
+ * missing city, district, and address fields from GPS coordinates.
  *
  * Rate limit: 1 request/second (Nominatim policy).
  * Caches results to data/geocode-cache.json so interrupted runs can resume.
- *
- * Run: node scripts/reverse-geocode.js
+ * A dry run uses the cache only.
  */
 
 const fs = require("fs");
 const path = require("path");
+const { parseNominatimResult } = require("./address");
+const { extractCoords } = require("./geo");
+const { setAsciiFields } = require("./text");
 
-const DATA_PATH = path.join(__dirname, "..", "data", "hospitals.json");
 const CACHE_PATH = path.join(__dirname, "..", "data", "geocode-cache.json");
 const NOMINATIM_URL = "https://nominatim.openstreetmap.org/reverse";
 const RATE_LIMIT_MS = 1100; // slightly over 1s to be safe
 
-function removeDiacritics(str) {
-  return str
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .replace(/đ/g, "d")
-    .replace(/Đ/g, "D");
-}
-
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-// ─── Extract lat/lon from mapsUrl ───────────────────────────────────────────
-
-function extractCoords(mapsUrl) {
-  if (!mapsUrl) return null;
-  const match = mapsUrl.match(/query=([-\d.]+),([-\d.]+)/);
-  if (!match) return null;
-  return { lat: parseFloat(match[1]), lon: parseFloat(match[2]) };
-}
-
 // ─── Reverse geocode a single coordinate ────────────────────────────────────
 
 async function reverseGeocode(lat, lon) {
@@ -54,59 +39,19 @@ async function reverseGeocode(lat, lon) {
   return res.json();
 }
 
-// ─── Extract structured address from Nominatim response ─────────────────────
-
-function parseNominatimResult(data) {
-  const addr = data.address || {};
-
-  // City: try multiple fields Nominatim uses for Vietnamese admin levels
-  const city =
-    addr.city ||
-    addr.town ||
-    addr.province ||
-    addr.state ||
-    addr.county ||
-    "";
-
-  // District: Nominatim uses various fields depending on admin level
-  const district =
-    addr.city_district ||
-    addr.suburb ||
-    addr.district ||
-    addr.quarter ||
-    "";
-
-  // Street address
-  const road = addr.road || "";
-  const houseNumber = addr.house_number || "";
-  let streetAddress = "";
-  if (houseNumber) streetAddress += houseNumber + " ";
-  if (road) streetAddress += road;
-  if (district) streetAddress += (streetAddress ? ", " : "") + district;
-  if (city) streetAddress += (streetAddress ? ", " : "") + city;
-
-  return {
-    city: city.trim(),
-    district: district.trim(),
-    address: streetAddress.trim(),
-    displayName: data.display_name || "",
-  };
-}
-
-// ─── Main ───────────────────────────────────────────────────────────────────
-
-async function main() {
-  const hospitals = JSON.parse(fs.readFileSync(DATA_PATH, "utf-8"));
+// ─── Stage ──────────────────────────────────────────────────────────────────
 
+async function run(hospitals, { dryRun, log }) {
   // Load or create cache
   let cache = {};
   if (fs.existsSync(CACHE_PATH)) {
     cache = JSON.parse(fs.readFileSync(CACHE_PATH, "utf-8"));
-    console.log(`Loaded ${Object.keys(cache).length} cached geocode results.`);
+    log(`Loaded ${Object.keys(cache).length} cached geocode results.`);
   }
 
   let updated = 0;
   let skipped = 0;
+  let uncached = 0;
   let errors = 0;
   const total = hospitals.length;
 
@@ -127,6 +72,11 @@ async function main() {
       continue;
     }
 
+    if (dryRun) {
+      uncached++;
+      continue;
+    }
+
     // Rate-limited API call
     try {
       process.stdout.write(
@@ -154,37 +104,22 @@ async function main() {
   }
 
   // Final cache save
-  fs.writeFileSync(CACHE_PATH, JSON.stringify(cache, null, 2), "utf-8");
+  if (!dryRun) fs.writeFileSync(CACHE_PATH, JSON.stringify(cache, null, 2), "utf-8");
 
   // Update ASCII fields
-  for (const h of hospitals) {
-    h.cityAscii = removeDiacritics((h.city || "").toLowerCase());
-    h.districtAscii = removeDiacritics((h.district || "").toLowerCase());
-    h.nameAscii = removeDiacritics((h.name || "").toLowerCase());
-  }
-
-  // Save
-  fs.writeFileSync(DATA_PATH, JSON.stringify(hospitals, null, 2), "utf-8");
+  hospitals.forEach(setAsciiFields);
 
-  console.log(`\n\nDone!`);
-  console.log(`  Updated: ${updated}`);
-  console.log(`  Skipped (no coords): ${skipped}`);
-  console.log(`  Errors: ${errors}`);
+  log(`Updated: ${updated}, skipped (no coords): ${skipped}, errors: ${errors}`);
+  if (uncached > 0) log(`Not in the cache (not geocoded in a dry run): ${uncached}`);
 
   // Stats
-  const withCity = hospitals.filter((h) => h.city).length;
-  const withDistrict = hospitals.filter((h) => h.district).length;
-  const withAddress = hospitals.filter((h) => h.address).length;
-  console.log(`\nData coverage after geocoding:`);
-  console.log(
-    `  City:     ${withCity}/${total} (${((withCity / total) * 100).toFixed(1)}%)`,
-  );
-  console.log(
-    `  District: ${withDistrict}/${total} (${((withDistrict / total) * 100).toFixed(1)}%)`,
-  );
-  console.log(
-    `  Address:  ${withAddress}/${total} (${((withAddress / total) * 100).toFixed(1)}%)`,
-  );
+  if (total > 0) {
+    const pct = (n) => `${n}/${total} (${((n / total) * 100).toFixed(1)}%)`;
+    log(`Coverage: city ${pct(hospitals.filter((h) => h.city).length)}, ` +
+      `district ${pct(hospitals.filter((h) => h.district).length)}, ` +
+      `address ${pct(hospitals.filter((h) => h.address).length)}`);
+  }
+  return hospitals;
 }
 
 function applyGeocode(hospital, geo) {
@@ -200,7 +135,4 @@ function applyGeocode(hospital, geo) {
   }
 }
 
-main().catch((err) => {
-  console.error("Fatal error:", err.message);
-  process.exit(1);
-});
+module.exports = { run };
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * Lists hospitals whose public/private classification is doubtful, least
+ * certain first, with the signals behind each guess (see classify.js).
+ * Correct them in data/overrides.json, or improve the keyword lists.
+ *
+ * Records from before scored classification carry no confidence; they are
+ * scored again from their names. An "unclassified" one takes the type its
+ * name scores, and so does one whose name scores with full confidence (a
+ * known hospital). Any other public/private one its name disagrees with keeps
+ * its type — it came from OSM tags we no longer have, or a hand edit — at
+ * confidence 0.
+ * --write stores those scores in the file and lists the types it changed.
+ *
+ * Usage: node scripts/review-types.js [options]   (npm run review-types -- [options])
+ *   --below <0-1>    confidence threshold (default 0.5)
+ *   --type <type>    only public, private or unclassified records
+ *   --limit <n>      show at most n records (default 50, 0 for all)
+ *   --input <file>   records to review (default data/hospitals.json)
+ *   --write          store the scores of records that have none
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { hospitalId } = require("../hospital-id");
+const { scoreType, REVIEW_BELOW } = require("./classify");
+const { DATA_PATH } = require("./build-index");
+
+// A record's type, the confidence in it and why
+function typeScore(h) {
+  if (h.typeConfidence !== undefined) {
+    return { type: h.type, confidence: h.typeConfidence, reasons: h.typeReasons || [] };
+  }
+  const scored = scoreType(h.name);
+  if (scored.type === h.type || h.type === "unclassified" || scored.confidence === 1) return scored;
+  return { type: h.type, confidence: 0, reasons: [...scored.reasons, `scored by name: ${scored.type}`] };
+}
+
+/**
+ * Stores typeScore() in the records that have no confidence yet.
+ * @param {object[]} hospitals
+ * @returns {{hospitals: object[], changed: Array<{hospital: object, from: string}>}}
+ *   changed: records whose type the score changed
+ */
+function storeScores(hospitals) {
+  const changed = [];
+  const scored = hospitals.map((h) => {
+    if (h.typeConfidence !== undefined) return h;
+    const { type, confidence, reasons } = typeScore(h);
+    // Keep the score next to the type, as the fetch stage writes it
+    const record = {};
+    for (const [key, value] of Object.entries(h)) {
+      record[key] = key === "type" ? type : value;
+      if (key === "type") Object.assign(record, { typeConfidence: confidence, typeReasons: reasons });
+    }
+    if (type !== h.type) changed.push({ hospital: record, from: h.type });
+    return record;
+  });
+  return { hospitals: scored, changed };
+}
+
+/**
+ * @param {object[]} hospitals
+ * @param {{below?: number, type?: string}} [options]
+ * @returns {Array<{hospital: object, type: string, confidence: number, reasons: string[]}>}
+ *   least certain first
+ */
+function lowConfidence(hospitals, { below = REVIEW_BELOW, type } = {}) {
+  return hospitals
+    .map((h) => ({ hospital: h, ...typeScore(h) }))
+    .filter((r) => r.confidence < below && (!type || r.type === type))
+    .sort((a, b) => a.confidence - b.confidence || a.hospital.name.localeCompare(b.hospital.name, "vi"));
+}
+
+function formatReview(rows) {
+  const lines = [];
+  for (const { hospital: h, type, confidence, reasons } of rows) {
+    const place = [h.district, h.city].filter(Boolean).join(", ");
+    lines.push(`${confidence.toFixed(2)}  ${type.padEnd(12)} ${h.name}${place ? ` — ${place}` : ""}`);
+    lines.push(`      id: ${h.osmId || hospitalId(h)}`);
+    for (const reason of reasons) lines.push(`      ${reason}`);
+    if (reasons.length === 0) lines.push("      (no signals)");
+  }
+  return lines;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      below: { type: "string", default: String(REVIEW_BELOW) },
+      type: { type: "string" },
+      limit: { type: "string", default: "50" },
+      input: { type: "string" },
+      write: { type: "boolean", default: false },
+    },
+  });
+  const below = Number(values.below);
+  const limit = Number(values.limit);
+  if (!(below >= 0 && below <= 1)) throw new Error("--below must be between 0 and 1");
+  if (!(Number.isInteger(limit) && limit >= 0)) throw new Error("--limit must be a whole number");
+
+  const file = values.input ? path.resolve(values.input) : DATA_PATH;
+  let hospitals = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (values.write) {
+    const stored = storeScores(hospitals);
+    hospitals = stored.hospitals;
+    fs.writeFileSync(file, JSON.stringify(hospitals, null, 2), "utf-8");
+    for (const { hospital: h, from } of stored.changed) console.log(`${from} → ${h.type}  ${h.name}`);
+    console.log(`Scored ${path.relative(process.cwd(), file)}: ${stored.changed.length} types changed\n`);
+  }
+  const rows = lowConfidence(hospitals, { below, type: values.type });
+  const shown = limit ? rows.slice(0, limit) : rows;
+
+  for (const line of formatReview(shown)) console.log(line);
+  console.log(
+    `\n${rows.length} of ${hospitals.length} records below ${below} confidence` +
+      (shown.length < rows.length ? ` (showing ${shown.length}, --limit 0 for all)` : ""),
+  );
+  if (rows.length > 0) console.log("Correct them in data/overrides.json (see scripts/overrides.js).");
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error("Error:", err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { lowConfidence, formatReview, storeScores };
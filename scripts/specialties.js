@@ -0,0 +1,167 @@
+/**
+ * Specialty taxonomy shared by the data pipeline.
+ *
+ * Each specialty has a stable id (stored in hospitals.json as `specialties`),
+ * Vietnamese name keywords, and the OSM `healthcare:speciality` values that map to it.
+ * The UI keeps its own id → label table in app.js; keep the ids in sync.
+ */
+
+const { removeDiacritics } = require("./text");
+
+const SPECIALTIES = [
+  {
+    id: "pediatrics",
+    label: "Nhi",
+    keywords: ["nhi", "nhi đồng", "trẻ em", "children"],
+    osm: ["paediatrics", "pediatrics", "neonatology"],
+  },
+  {
+    id: "obstetrics",
+    label: "Phụ sản",
+    keywords: ["phụ sản", "sản", "sản nhi", "hộ sinh", "từ dũ"],
+    osm: ["gynaecology", "obstetrics", "obstetrics_gynaecology"],
+  },
+  {
+    id: "oncology",
+    label: "Ung bướu",
+    keywords: ["ung bướu", "ung thư", "k trung ương"],
+    osm: ["oncology", "radiotherapy"],
+  },
+  {
+    id: "ophthalmology",
+    label: "Mắt",
+    keywords: ["mắt", "nhãn khoa", "eye"],
+    osm: ["ophthalmology"],
+  },
+  {
+    id: "psychiatry",
+    label: "Tâm thần",
+    keywords: ["tâm thần", "tâm thần kinh", "sức khỏe tâm thần"],
+    osm: ["psychiatry"],
+  },
+  {
+    id: "traditional",
+    label: "Y học cổ truyền",
+    keywords: ["y học cổ truyền", "y dược cổ truyền", "đông y", "châm cứu", "tuệ tĩnh"],
+    osm: ["traditional_chinese_medicine", "acupuncture", "traditional"],
+  },
+  {
+    id: "dentistry",
+    label: "Răng hàm mặt",
+    keywords: ["răng hàm mặt", "nha khoa", "dental"],
+    osm: ["dentistry", "maxillofacial_surgery", "orthodontics"],
+  },
+  {
+    id: "ent",
+    label: "Tai mũi họng",
+    keywords: ["tai mũi họng", "tai-mũi-họng"],
+    osm: ["otolaryngology"],
+  },
+  {
+    id: "dermatology",
+    label: "Da liễu",
+    keywords: ["da liễu"],
+    osm: ["dermatology", "venereology"],
+  },
+  {
+    id: "pulmonology",
+    label: "Lao và bệnh phổi",
+    keywords: ["phổi", "bệnh lao", "lao và bệnh phổi", "lao & bệnh phổi"],
+    osm: ["pulmonology", "tuberculosis"],
+  },
+  {
+    id: "cardiology",
+    label: "Tim mạch",
+    // Not bare "tim": heart hospitals are "Bệnh viện Tim …" / "Viện Tim …"
+    keywords: ["tim mạch", "viện tim"],
+    osm: ["cardiology", "cardiac_surgery"],
+  },
+  {
+    id: "endocrinology",
+    label: "Nội tiết",
+    keywords: ["nội tiết"],
+    osm: ["endocrinology", "diabetology"],
+  },
+  {
+    id: "nephrology",
+    label: "Thận",
+    keywords: ["thận", "tiết niệu"],
+    osm: ["nephrology", "urology"],
+  },
+  {
+    id: "orthopedics",
+    label: "Chấn thương chỉnh hình",
+    keywords: ["chấn thương", "chỉnh hình"],
+    osm: ["orthopaedics", "trauma"],
+  },
+  {
+    id: "burns",
+    label: "Bỏng",
+    keywords: ["bỏng"],
+    osm: ["burns"],
+  },
+  {
+    id: "rehabilitation",
+    label: "Phục hồi chức năng",
+    keywords: ["phục hồi chức năng", "điều dưỡng"],
+    osm: ["rehabilitation", "physiotherapy"],
+  },
+  {
+    id: "geriatrics",
+    label: "Lão khoa",
+    keywords: ["lão khoa"],
+    osm: ["geriatrics"],
+  },
+  {
+    id: "infectious",
+    label: "Bệnh nhiệt đới",
+    keywords: ["nhiệt đới", "bệnh truyền nhiễm"],
+    osm: ["infectious_diseases", "tropical_medicine"],
+  },
+  {
+    id: "hematology",
+    label: "Huyết học - Truyền máu",
+    keywords: ["huyết học", "truyền máu"],
+    osm: ["haematology", "transfusion"],
+  },
+  {
+    id: "cosmetic",
+    label: "Thẩm mỹ",
+    keywords: ["thẩm mỹ"],
+    osm: ["plastic_surgery", "cosmetic_surgery"],
+  },
+];
+
+// Whole-word match — JS \b doesn't understand Vietnamese letters,
+// so "mắt" must not match inside "mặt" and "nhi" not inside "nhiệt"
+function hasWord(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, "u").test(text);
+}
+
+// ─── Derive specialty ids from a hospital name + OSM tag ────────────────────
+
+function deriveSpecialties(name, osmSpeciality) {
+  const lower = (name || "").toLowerCase().normalize("NFC");
+  const ascii = removeDiacritics(lower);
+  // ASCII-only names ("Benh vien Mat") are matched against ASCII keywords;
+  // names with diacritics keep them, so "mặt" and "mắt" stay distinct.
+  const isAsciiName = lower === ascii;
+
+  const tagValues = (osmSpeciality || "")
+    .split(";")
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+
+  const found = [];
+  for (const s of SPECIALTIES) {
+    const byName = s.keywords.some((kw) =>
+      isAsciiName ? hasWord(ascii, removeDiacritics(kw)) : hasWord(lower, kw),
+    );
+    const byTag = tagValues.some((v) => s.osm.includes(v));
+    if (byName || byTag) found.push(s.id);
+  }
+  return found;
+}
+
+module.exports = { SPECIALTIES, deriveSpecialties };
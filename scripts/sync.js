@@ -0,0 +1,97 @@
+/**
+ * Keeps the dataset in step with OpenStreetMap without losing manual edits.
+ *
+ * Records are matched by OSM element id (`osmId`, e.g. "way/456"). Records
+ * from before the dataset kept osmIds are matched by app id instead (name +
+ * coordinates, see hospital-id.js), so the first sync gives them their osmId.
+ * Fields corrected by hand — listed in a record's `manual` array, which
+ * csv-to-json.js fills in — keep their value when upstream data changes;
+ * every other field follows upstream.
+ */
+
+const { hospitalId } = require("../hospital-id");
+const { diffRecords } = require("./diff");
+const { setAsciiFields } = require("./text");
+
+/**
+ * Records hand-edited fields on `record` (in place).
+ * @param {object} record
+ * @param {object} edits  field → new value
+ * @returns {string[]} the fields whose value actually changed
+ */
+function markManual(record, edits) {
+  const changed = Object.keys(edits).filter((field) => (record[field] ?? "") !== edits[field]);
+  if (changed.length === 0) return changed;
+  for (const field of changed) record[field] = edits[field];
+  record.manual = [...new Set([...(record.manual || []), ...changed])].sort();
+  return changed;
+}
+
+// Upstream record with the hand-edited fields of `current` put back — except
+// those the overrides file sets (overrides.js), which win
+function keepManual(current, upstream) {
+  if (!current.manual || current.manual.length === 0) return upstream;
+  const merged = { ...upstream };
+  for (const field of current.manual) {
+    if ((upstream.overridden || []).includes(field)) continue;
+    if (field in current) merged[field] = current[field];
+    else delete merged[field];
+    // The classifier's confidence was about its own guess
+    if (field === "type") {
+      merged.typeConfidence = current.typeConfidence;
+      merged.typeReasons = current.typeReasons;
+    }
+  }
+  merged.manual = current.manual;
+  return setAsciiFields(merged);
+}
+
+/**
+ * Field-level merge of freshly built records into the current dataset.
+ * Facilities gone from OSM are dropped; records added by hand (no osmId,
+ * marked manual) are kept. Every record comes out with an `id`: a matched
+ * one keeps the id it was published with, a new one gets the id of its name
+ * + coordinates, so renaming or moving it later doesn't break its links.
+ * @param {object[]} current  the dataset as published, with manual marks
+ * @param {object[]} upstream  records rebuilt from OSM
+ */
+function mergeRecords(current, upstream) {
+  const byOsmId = new Map(current.filter((h) => h.osmId).map((h) => [h.osmId, h]));
+  const byId = new Map(current.filter((h) => !h.osmId).map((h) => [hospitalId(h), h]));
+  const matched = new Set();
+  const merged = upstream.map((h) => {
+    const existing = byOsmId.get(h.osmId) || byId.get(hospitalId(h));
+    if (!existing || matched.has(existing)) return withId(h, hospitalId(h));
+    matched.add(existing);
+    return withId(keepManual(existing, h), hospitalId(existing));
+  });
+  for (const h of current) {
+    if (!h.osmId && h.manual && h.manual.length > 0 && !matched.has(h)) merged.push(withId(h, hospitalId(h)));
+  }
+  return merged;
+}
+
+// The record with `id` as its first field
+function withId(h, id) {
+  const { id: _, ...fields } = h;
+  return { id, ...fields };
+}
+
+/**
+ * What changed upstream between two syncs, as a JSON-friendly report.
+ * @returns {{added: object[], removed: object[], changed: object[]}}
+ */
+function syncReport(previous, current) {
+  const { added, removed, changed } = diffRecords(previous, current);
+  const facility = (h) => ({ osmId: h.osmId, name: h.name, city: h.city });
+  return {
+    added: added.map(facility),
+    removed: removed.map(facility),
+    changed: changed.map(({ before, after, fields }) => ({
+      ...facility(after),
+      changes: Object.fromEntries(fields.map((f) => [f, [before[f] ?? null, after[f] ?? null]])),
+    })),
+  };
+}
+
+module.exports = { markManual, keepManual, mergeRecords, syncReport };
@@ -0,0 +1,20 @@
+/**
+ * Text helpers shared by the data pipeline scripts.
+ */
+
+const removeDiacritics = require("../remove-diacritics");
+
+// Lowercase, diacritic-free form used for the *Ascii fields and lookups
+function toAscii(str) {
+  return removeDiacritics((str || "").toLowerCase());
+}
+
+// Regenerates nameAscii / districtAscii / cityAscii after edits
+function setAsciiFields(h) {
+  h.nameAscii = toAscii(h.name);
+  h.districtAscii = toAscii(h.district);
+  h.cityAscii = toAscii(h.city);
+  return h;
+}
+
+module.exports = { removeDiacritics, toAscii, setAsciiFields };
@@ -0,0 +1,59 @@
+/**
+ * Fuzzy search + province/district filtering over the hospital records.
+ * Runs inside search-worker.js; app.js falls back to running it in the page
+ * when workers are unavailable.
+ *
+ * Records must already carry their `id` (see hospitalId() in app.js) —
+ * results are returned as ids so only small messages cross the worker boundary.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(
+      require("./lib/fuse.min.js"),
+      require("./search-options.js"),
+      require("./search-normalize.js"),
+    );
+  } else {
+    root.createSearchEngine = factory(root.Fuse, root.createSearchOptions, root.normalizeSearchText);
+  }
+})(this, function (Fuse, createSearchOptions, normalizeSearchText) {
+  /**
+   * @param {object[]} hospitals  records with ids
+   * @param {object|null} index   serialized Fuse index from build-index.js
+   * @param {object} specialtyLabels  specialty id → label
+   */
+  return function createSearchEngine(hospitals, index, specialtyLabels) {
+    const options = createSearchOptions((id) => specialtyLabels[id] || id);
+    // A prebuilt index skips tokenizing every record on startup
+    const fuse = new Fuse(hospitals, options, index ? Fuse.parseIndex(index) : undefined);
+
+    /**
+     * @param {{query: string, province: string, district: string,
+     *          fields: {province: string, district: string}}} request
+     * @returns {{ids: string[], matches: Array<[string, object[]]>}}
+     *   ids in Fuse score order (dataset order without a query), and the
+     *   Fuse matches per id for highlighting
+     */
+    function search({ query, province, district, fields }) {
+      let results;
+      const matches = [];
+      if (query) {
+        const fuseResults = fuse.search(normalizeSearchText(query));
+        for (const r of fuseResults) matches.push([r.item.id, r.matches || []]);
+        results = fuseResults.map((r) => r.item);
+      } else {
+        results = hospitals;
+      }
+
+      // Hard filters: old province/district or new province/ward, depending on mode
+      if (province) results = results.filter((h) => h[fields.province] === province);
+      if (district) results = results.filter((h) => h[fields.district] === district);
+
+      const ids = results.map((h) => h.id);
+      const kept = new Set(ids);
+      return { ids, matches: matches.filter(([id]) => kept.has(id)) };
+    }
+
+    return { search };
+  };
+});
@@ -0,0 +1,86 @@
+/**
+ * Filters applied to search results in the page: the type / kind / specialty
+ * chips (with the faceted counts shown on them) and the "Gần tôi" radius.
+ * Also assigns the sub-kinds the kind chips select.
+ *
+ * Chip selections are Sets; an empty Set means "any". Loaded as a plain
+ * <script> (global `SearchFilter`) or via require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./remove-diacritics.js"));
+  } else {
+    root.SearchFilter = factory(root.removeDiacritics);
+  }
+})(this, function (removeDiacritics) {
+  // Sub-kinds used by the filter chips, matched against the ASCII name.
+  // A hospital can have several kinds (e.g. a military specialty hospital).
+  const KIND_RULES = {
+    general: /\bda khoa\b/,
+    // Numbered hospitals ("Bệnh viện 175") are military/police
+    military: /quan y|quan doi|quan khu|quan dan y|cong an|^benh vien \d+/,
+  };
+
+  const KINDS = ["general", "specialty", "military"];
+
+  function classifyKinds(h) {
+    const name = h.nameAscii || removeDiacritics((h.name || "").toLowerCase());
+    return KINDS.filter((kind) =>
+      kind === "specialty"
+        ? (h.specialties || []).length > 0 || /chuyen khoa/.test(name)
+        : KIND_RULES[kind].test(name),
+    );
+  }
+
+  /**
+   * Which chip groups a hospital passes.
+   * @param {object} h  record with type, kinds and specialties
+   * @param {{types: Set<string>, kinds: Set<string>, specialties: Set<string>}} filters
+   */
+  function matchFilters(h, { types, kinds, specialties }) {
+    return {
+      type: types.size === 0 || types.has(h.type),
+      kind: kinds.size === 0 || h.kinds.some((k) => kinds.has(k)),
+      specialty: specialties.size === 0 || h.specialties.some((s) => specialties.has(s)),
+    };
+  }
+
+  // Hospitals passing every chip group
+  function filterByChips(hospitals, filters) {
+    return hospitals.filter((h) => {
+      const ok = matchFilters(h, filters);
+      return ok.type && ok.kind && ok.specialty;
+    });
+  }
+
+  /**
+   * Faceted counts: each chip counts results matching the other groups'
+   * selections, so a chip shows how many hospitals selecting it would add.
+   * @returns {{type: object, kind: object, specialty: object}} value → count
+   */
+  function chipCounts(hospitals, filters) {
+    const counts = { type: {}, kind: {}, specialty: {} };
+    const add = (group, value) => (counts[group][value] = (counts[group][value] || 0) + 1);
+    for (const h of hospitals) {
+      const ok = matchFilters(h, filters);
+      if (ok.kind && ok.specialty) add("type", h.type);
+      if (ok.type && ok.specialty) h.kinds.forEach((k) => add("kind", k));
+      if (ok.type && ok.kind) h.specialties.forEach((s) => add("specialty", s));
+    }
+    return counts;
+  }
+
+  /**
+   * Hospitals within radiusKm; no limit when radiusKm is 0.
+   * @param {function(object): (number|null)} distanceTo  km, null without coordinates
+   */
+  function filterByRadius(hospitals, distanceTo, radiusKm) {
+    if (!(radiusKm > 0)) return hospitals;
+    return hospitals.filter((h) => {
+      const d = distanceTo(h);
+      return d !== null && d <= radiusKm;
+    });
+  }
+
+  return { KINDS, classifyKinds, matchFilters, filterByChips, chipCounts, filterByRadius };
+});
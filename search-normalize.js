@@ -0,0 +1,72 @@
+/**
+ * Query/name normalization for search: folds diacritics, expands common
+ * Vietnamese abbreviations ("BVĐK", "TP.HCM", "Q.1", "YHCT" …) and drops
+ * noise words that nearly every hospital name contains.
+ *
+ * Applied to hospital names when indexing (search-options.js) and to the
+ * query before searching (search-engine.js), so both sides meet in the same
+ * form. Loaded as a plain <script> / importScripts() (global
+ * `normalizeSearchText`) or via require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./remove-diacritics.js"));
+  } else {
+    root.normalizeSearchText = factory(root.removeDiacritics);
+  }
+})(this, function (removeDiacritics) {
+  // Applied in order to lowercase, diacritic-free text (đ → d) before
+  // punctuation is stripped, so "tp.hcm" and "q.1" are still recognizable.
+  // More specific patterns must come before the shorter ones they contain.
+  const ABBREVIATIONS = [
+    // Hồ Chí Minh City — a bare "TP" is how the south says it
+    [/^\s*tp\.?\s*$/g, "ho chi minh"],
+    [/\btp\.?\s*hcm\b/g, "ho chi minh"],
+    [/\b(hcm|hcmc|sai gon|saigon)\b/g, "ho chi minh"],
+    [/\btp\.?\s*ha noi\b/g, "ha noi"],
+    [/\bhn\b/g, "ha noi"],
+    [/\bbrvt\b/g, "ba ria vung tau"],
+
+    // Administrative units: "Q.1", "Q1", "Q. Bình Thạnh", "P.12", "TP Thủ Đức"
+    [/\bq\.\s*/g, "quan "],
+    [/\bq(\d+)\b/g, "quan $1"],
+    [/\bp\.\s*/g, "phuong "],
+    [/\bp(\d+)\b/g, "phuong $1"],
+    [/\btx\.?\s+/g, "thi xa "],
+    [/\btp\b\.?\s*/g, "thanh pho "],
+
+    // Facility types and specialties
+    [/\bbvdk\b/g, "benh vien da khoa"],
+    [/\bbv\b\.?/g, "benh vien"],
+    [/\bdk\b/g, "da khoa"],
+    [/\bck\b/g, "chuyen khoa"],
+    [/\bttyt\b/g, "trung tam y te"],
+    [/\bpk\b/g, "phong kham"],
+    [/\btw\b/g, "trung uong"],
+    [/\byhct\b/g, "y hoc co truyen"],
+    [/\brhm\b/g, "rang ham mat"],
+    [/\btmh\b/g, "tai mui hong"],
+  ];
+
+  // Phrases in almost every name — they only add noise to fuzzy scores
+  const NOISE_WORDS = ["benh vien"];
+
+  /**
+   * "BVĐK Q.1 TP.HCM" → "da khoa quan 1 ho chi minh"
+   * Noise words are kept when nothing else is left ("Bệnh viện").
+   */
+  return function normalizeSearchText(text) {
+    let out = removeDiacritics(String(text || "").toLowerCase());
+    for (const [pattern, replacement] of ABBREVIATIONS) {
+      out = out.replace(pattern, replacement);
+    }
+    out = out.replace(/[^a-z0-9]+/g, " ").trim();
+
+    let stripped = ` ${out} `;
+    for (const noise of NOISE_WORDS) {
+      stripped = stripped.split(` ${noise} `).join(" ");
+    }
+    stripped = stripped.trim();
+    return stripped || out;
+  };
+});
@@ -0,0 +1,55 @@
+/**
+ * Fuse.js options shared by the search engine (search-engine.js) and the
+ * index build (scripts/build-index.js), so a prebuilt index always has the
+ * keys the client searches with. Loaded as a plain <script> (global
+ * `createSearchOptions`) or via require() in Node.
+ *
+ * `specialtyLabel` maps a specialty id to its display label; the labels
+ * (with and without diacritics) are what gets indexed.
+ *
+ * The *Ascii keys index names/aliases through normalizeSearchText(), so
+ * abbreviations and noise words are handled the same way as in queries.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./search-normalize.js"));
+  } else {
+    root.createSearchOptions = factory(root.normalizeSearchText);
+  }
+})(this, function (normalizeSearchText) {
+  return function createSearchOptions(specialtyLabel) {
+    // Name-heavy, location as secondary
+    return {
+      keys: [
+        { name: "name", weight: 4 },
+        { name: "nameAscii", weight: 4, getFn: (h) => normalizeSearchText(h.name) },
+        { name: "oldDistrict", weight: 2 },
+        { name: "oldProvince", weight: 1.5 },
+        { name: "aliases", weight: 1.5 },
+        {
+          name: "aliasesAscii",
+          weight: 1.5,
+          // Parallel to `aliases`, so match refIndex points at the original alias
+          getFn: (h) => (h.aliases || []).map(normalizeSearchText),
+        },
+        {
+          name: "specialties",
+          weight: 1.5,
+          // Index the labels (with and without diacritics), not the ids
+          getFn: (h) => (h.specialties || []).flatMap((id) => {
+            const label = specialtyLabel(id);
+            return [label, normalizeSearchText(label)];
+          }),
+        },
+        { name: "newWard", weight: 0.5 },
+        { name: "newProvince", weight: 0.5 },
+        { name: "address", weight: 0.5 },
+      ],
+      threshold: 0.35,
+      distance: 200,
+      ignoreLocation: true,
+      includeScore: true,
+      includeMatches: true,
+    };
+  };
+});
@@ -0,0 +1,358 @@
+/**
+ * Structured search queries: pulls location phrases ("quận 7", "Đà Nẵng",
+ * "phường Bến Nghé"), type words ("công", "tư", "quốc tế") and explicit
+ * operators (tinh:"Đà Nẵng", quan:7, phuong:ben-nghe, loai:tu) out of the
+ * search text so they can become hard filters. Whatever isn't recognized is
+ * left as text for the fuzzy search, and so are words negated with a leading
+ * "-" (-tư, -"sài gòn"): they exclude, so they never become filters.
+ *
+ * Loaded as a plain <script> (global `SearchQuery`) or via require() in Node.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./search-normalize.js"));
+  } else {
+    root.SearchQuery = factory(root.normalizeSearchText);
+  }
+})(this, function (normalizeSearchText) {
+  // Record fields behind the province/district filters in each admin mode
+  const MODE_FIELDS = {
+    old: { province: "oldProvince", district: "oldDistrict" },
+    new: { province: "newProvince", district: "newWard" },
+  };
+
+  // Normalized type words → hospital type. Bare words only count when they
+  // aren't part of a hospital name together with a neighbouring word
+  // ("Bộ Công an", "Từ Dũ").
+  const TYPE_WORDS = {
+    "cong": "public",
+    "cong lap": "public",
+    "nha nuoc": "public",
+    "tu": "private",
+    "tu nhan": "private",
+    "quoc te": "private",
+  };
+
+  // loai: also accepts the type ids and "chưa phân loại"
+  const TYPE_VALUES = {
+    ...TYPE_WORDS,
+    "public": "public",
+    "private": "private",
+    "unclassified": "unclassified",
+    "chua phan loai": "unclassified",
+  };
+
+  // Normalized operator names → what their value is looked up as
+  const OPERATORS = {
+    tinh: "province",
+    quan: "district",
+    huyen: "district",
+    phuong: "ward",
+    xa: "ward",
+    loai: "type",
+  };
+
+  // key:value or key:"value with spaces" (closing quote optional while typing)
+  const OPERATOR_RE = /(^|\s)([\p{L}]+):("[^"]*"?|\S+)/gu;
+
+  const PROVINCE_PREFIXES = ["tỉnh", "thành phố"];
+  const DISTRICT_PREFIXES = ["quận", "huyện", "thị xã", "thành phố"];
+  const WARD_PREFIXES = ["phường", "xã", "thị trấn", "đặc khu"];
+
+  // A bare phrase found in hospital names must point at the location for at
+  // least this share of them
+  const NAME_AGREEMENT = 0.75;
+
+  const isNegated = (token) => token.length > 1 && token.startsWith("-");
+
+  // How many tokens from tokens[i] are negated: one word, or a quoted run
+  function negatedLength(tokens, i) {
+    if (!isNegated(tokens[i])) return 0;
+    const closed = (token) => token.length > 2 && token.endsWith('"');
+    if (!tokens[i].startsWith('-"') || closed(tokens[i])) return 1;
+    const end = tokens.findIndex((token, j) => j > i && token.endsWith('"'));
+    return end === -1 ? tokens.length - i : end - i + 1;
+  }
+
+  // Lowercase words with diacritics kept, punctuation dropped
+  function words(text) {
+    return text.toLowerCase().normalize("NFC").split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  // Entries are keyed by normalized text; `label` keeps the diacritics so
+  // "đồng đà" isn't taken for "Đống Đa" (see spelledAlike)
+  function addEntry(map, label, entry) {
+    const norm = normalizeSearchText(label);
+    if (!norm) return;
+    const list = map.get(norm) || [];
+    const exists = list.some(
+      (e) => e.field === entry.field && e.value === entry.value && e.province === entry.province,
+    );
+    if (!exists) list.push({ ...entry, label });
+    map.set(norm, list);
+  }
+
+  function startsWithPrefix(norm, prefixes) {
+    return prefixes.some((p) => norm.startsWith(normalizeSearchText(p) + " "));
+  }
+
+  // Words typed with diacritics must match exactly; unaccented words match
+  // anything. Abbreviations ("TP.HCM") change the word count and are trusted.
+  function spelledAlike(typed, label) {
+    const a = words(typed);
+    const b = words(label);
+    if (a.length !== b.length) return true;
+    return a.every((w, i) => w === b[i] || normalizeSearchText(w) === w);
+  }
+
+  /**
+   * Lookup tables for parseSearchQuery(), built from the loaded records and
+   * (optionally) data/district_aliases.json for full district names with their
+   * unit type ("Quận Ba Đình", "Thị xã Sơn Tây").
+   */
+  function buildQueryVocabulary(hospitals, districtAliases) {
+    const provinces = new Map();
+    const districts = new Map(); // old districts and new wards
+
+    // Distinct field|value|province combinations — far fewer than records
+    const units = new Map();
+    const addUnit = (field, value, province) => {
+      if (value) units.set(`${field}|${value}|${province || ""}`, { field, value, province });
+    };
+    for (const h of hospitals) {
+      addUnit("oldProvince", h.oldProvince);
+      addUnit("newProvince", h.newProvince);
+      addUnit("oldDistrict", h.oldDistrict, h.oldProvince);
+      addUnit("newWard", h.newWard, h.newProvince);
+    }
+
+    const knownDistricts = new Set();
+    for (const { field, value, province } of units.values()) {
+      if (field === "oldProvince" || field === "newProvince") {
+        const entry = { field, value };
+        addEntry(provinces, value, entry);
+        for (const prefix of PROVINCE_PREFIXES) addEntry(provinces, `${prefix} ${value}`, entry);
+      } else if (field === "oldDistrict") {
+        // Short names ("Gò Vấp") are used bare; numbered ones keep "Quận"
+        addEntry(districts, value, { field, value, province });
+        knownDistricts.add(province + "|" + value);
+      } else {
+        // Ward names are too common in hospital names to match bare
+        for (const prefix of WARD_PREFIXES) {
+          addEntry(districts, `${prefix} ${value}`, { field, value, province });
+        }
+      }
+    }
+
+    for (const a of Object.values(districtAliases || {})) {
+      if (!knownDistricts.has(a.oldProvince + "|" + a.oldDistrictShort)) continue;
+      addEntry(districts, a.oldDistrict, {
+        field: "oldDistrict",
+        value: a.oldDistrictShort,
+        province: a.oldProvince,
+      });
+    }
+
+    let maxWords = 1;
+    for (const key of [...provinces.keys(), ...districts.keys(), ...Object.keys(TYPE_WORDS)]) {
+      maxWords = Math.max(maxWords, key.split(" ").length);
+    }
+
+    return {
+      provinces,
+      districts,
+      maxWords,
+      names: hospitals.map((h) => ({ h, name: ` ${normalizeSearchText(h.name)} ` })),
+    };
+  }
+
+  // A bare phrase that is part of hospital names only counts as a location if
+  // (nearly) all of those hospitals lie there — "Thống Nhất" is a hospital in
+  // Hồ Chí Minh as well as a district of Đồng Nai.
+  function namedElsewhere(vocab, phrase, entry) {
+    let named = 0;
+    let there = 0;
+    for (const { h, name } of vocab.names) {
+      if (!name.includes(` ${phrase} `)) continue;
+      named++;
+      if (h[entry.field] === entry.value) there++;
+    }
+    return named > 0 && there < named * NAME_AGREEMENT;
+  }
+
+  function inHospitalName(vocab, phrase) {
+    return vocab.names.some(({ name }) => name.includes(` ${phrase} `));
+  }
+
+  // Longest known phrase starting at tokens[i], or null. `nameQuery` is the
+  // normalized query when it is part of a hospital's name: a place in it is
+  // then part of the name too, unless the place is all that was typed.
+  function matchAt(vocab, tokens, i, nameQuery) {
+    let longest = Math.min(vocab.maxWords, tokens.length - i);
+    const negated = tokens.slice(i, i + longest).findIndex(isNegated);
+    if (negated !== -1) longest = negated;
+    for (let len = longest; len >= 1; len--) {
+      const typedText = tokens.slice(i, i + len).join(" ");
+      const phrase = normalizeSearchText(typedText);
+      if (!phrase) continue;
+
+      const type = TYPE_WORDS[phrase];
+      if (type) {
+        const prev = i > 0 ? normalizeSearchText(tokens[i - 1]) : "";
+        const next = i + len < tokens.length ? normalizeSearchText(tokens[i + len]) : "";
+        const partOfName =
+          (prev && inHospitalName(vocab, `${prev} ${phrase}`)) ||
+          (next && inHospitalName(vocab, `${phrase} ${next}`));
+        if (!partOfName) return { length: len, type };
+      }
+
+      const typed =
+        startsWithPrefix(phrase, PROVINCE_PREFIXES) ||
+        startsWithPrefix(phrase, DISTRICT_PREFIXES) ||
+        startsWithPrefix(phrase, WARD_PREFIXES);
+      const candidates = [
+        ...(vocab.provinces.get(phrase) || []),
+        ...(vocab.districts.get(phrase) || []),
+      ].filter(
+        (entry) =>
+          spelledAlike(typedText, entry.label) &&
+          (!nameQuery || nameQuery === phrase) &&
+          (typed || !namedElsewhere(vocab, phrase, entry)),
+      );
+      if (candidates.length > 0) return { length: len, candidates };
+    }
+    return null;
+  }
+
+  function lookupOperator(vocab, kind, value) {
+    const norm = normalizeSearchText(value);
+    if (kind === "province") {
+      return vocab.provinces.get(norm) || [];
+    }
+    const field = kind === "ward" ? "newWard" : "oldDistrict";
+    const prefixes = kind === "ward" ? WARD_PREFIXES : DISTRICT_PREFIXES;
+    const found = [norm, ...prefixes.map((p) => `${p} ${norm}`)]
+      .flatMap((key) => vocab.districts.get(key) || [])
+      .filter((entry) => entry.field === field);
+    return found.filter((e, i) => found.findIndex((o) => o.value === e.value && o.province === e.province) === i);
+  }
+
+  // Picks province/district values for one admin mode; phrases that can't be
+  // used (unknown in this mode, ambiguous, conflicting) are marked unused.
+  function resolve(locations, mode, contextProvince) {
+    const fields = MODE_FIELDS[mode];
+    const out = { province: "", district: "", used: new Set() };
+
+    for (const loc of locations) {
+      const values = [
+        ...new Set(loc.candidates.filter((e) => e.field === fields.province).map((e) => e.value)),
+      ];
+      if (values.length !== 1 || (out.province && out.province !== values[0])) continue;
+      out.province = values[0];
+      out.used.add(loc);
+    }
+
+    for (const loc of locations) {
+      if (out.used.has(loc)) continue;
+      const province = out.province || contextProvince;
+      const entries = loc.candidates.filter(
+        (e) => e.field === fields.district && (!province || e.province === province),
+      );
+      if (entries.length !== 1 || (out.district && out.district !== entries[0].value)) continue;
+      out.district = entries[0].value;
+      out.province = out.province || entries[0].province;
+      out.used.add(loc);
+    }
+    return out;
+  }
+
+  /**
+   * @param {string} query  raw search box text
+   * @param {object} vocab  from buildQueryVocabulary()
+   * @param {{admin: string, province: string, switchAdmin: boolean}} context
+   *   current admin mode, the province picked by hand (used to tell
+   *   same-named districts apart) and whether the mode may change
+   * @returns {{text: string, admin: string, province: string,
+   *            district: string, types: string[]}}
+   *   `text` is the rest of the query in its original spelling; `admin` only
+   *   differs from context.admin when the locations exist in the other mode only
+   */
+  function parseSearchQuery(query, vocab, context) {
+    const types = new Set();
+    const locations = [];
+    const segments = []; // original words, or a recognized location phrase
+
+    const rest = query.replace(OPERATOR_RE, (whole, lead, key, raw) => {
+      const kind = OPERATORS[normalizeSearchText(key)];
+      const value = raw.replace(/^"|"$/g, "");
+      if (kind === "type") {
+        const type = TYPE_VALUES[normalizeSearchText(value)];
+        if (!type) return whole;
+        types.add(type);
+        return lead;
+      }
+      const candidates = kind ? lookupOperator(vocab, kind, value) : [];
+      if (candidates.length === 0) return whole;
+      const loc = { text: whole.trim(), candidates };
+      locations.push(loc);
+      segments.push(loc);
+      return lead;
+    });
+
+    // "Bệnh viện Đa khoa Sài Gòn" is a hospital, not "Bệnh viện Đa khoa" in Hồ Chí Minh
+    const restNorm = normalizeSearchText(rest);
+    const nameQuery = restNorm && inHospitalName(vocab, restNorm) ? restNorm : "";
+
+    const tokens = rest.split(/\s+/).filter(Boolean);
+    for (let i = 0; i < tokens.length; ) {
+      const negated = negatedLength(tokens, i);
+      if (negated > 0) {
+        segments.push(...tokens.slice(i, i + negated));
+        i += negated;
+        continue;
+      }
+      const match = matchAt(vocab, tokens, i, nameQuery);
+      if (!match) {
+        segments.push(tokens[i]);
+        i++;
+        continue;
+      }
+      const text = tokens.slice(i, i + match.length).join(" ");
+      if (match.type) {
+        types.add(match.type);
+      } else {
+        const loc = { text, candidates: match.candidates };
+        locations.push(loc);
+        segments.push(loc);
+      }
+      i += match.length;
+    }
+
+    // Stay in the current admin mode unless the other one explains more phrases
+    let admin = context.admin;
+    let picked = resolve(locations, admin, context.province);
+    if (context.switchAdmin !== false) {
+      const other = admin === "new" ? "old" : "new";
+      const alternative = resolve(locations, other, "");
+      if (alternative.used.size > picked.used.size) {
+        admin = other;
+        picked = alternative;
+      }
+    }
+
+    const text = segments
+      .filter((s) => typeof s === "string" || !picked.used.has(s))
+      .map((s) => (typeof s === "string" ? s : s.text))
+      .join(" ");
+
+    return {
+      text,
+      admin,
+      province: picked.province,
+      district: picked.district,
+      types: [...types],
+    };
+  }
+
+  return { buildQueryVocabulary, parseSearchQuery };
+});
@@ -0,0 +1,41 @@
+/**
+ * Web Worker running search-engine.js off the main thread.
+ *
+ * Protocol (all messages are plain objects):
+ *   page → worker  { type: "init", hospitals, index, specialtyLabels }
+ *   page → worker  { type: "search", seq, query, province, district, fields }
+ *   worker → page  { type: "results", seq, ids, matches }
+ *
+ * `seq` increases with every request. Only the newest queued search is run —
+ * older ones are dropped unanswered — and the page ignores any response whose
+ * seq isn't its latest, so fast typing never renders stale results.
+ */
+
+importScripts(
+  "lib/fuse.min.js",
+  "remove-diacritics.js",
+  "search-normalize.js",
+  "search-options.js",
+  "search-engine.js",
+);
+
+let engine = null;
+let pending = null;
+
+self.addEventListener("message", (event) => {
+  const msg = event.data;
+  if (msg.type === "init") {
+    engine = createSearchEngine(msg.hospitals, msg.index, msg.specialtyLabels);
+  } else if (msg.type === "search") {
+    // Run on the next task, so searches queued behind this one replace it
+    if (!pending) setTimeout(runPending, 0);
+    pending = msg;
+  }
+});
+
+function runPending() {
+  const { seq, ...request } = pending;
+  pending = null;
+  const { ids, matches } = engine.search(request);
+  self.postMessage({ type: "results", seq, ids, matches });
+}
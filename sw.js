@@ -0,0 +1,181 @@
+/**
+ * Service worker: makes the app installable and usable offline.
+ *
+ * - The app shell and the search bundle (manifest + the content-hashed
+ *   dataset and index it names) are precached on install.
+ * - Content-hashed data files never change, so they are served cache-first.
+ * - Everything else same-origin is served stale-while-revalidate: the cached
+ *   copy answers immediately and is refreshed in the background.
+ * - When a refreshed data/search-manifest.json differs from the cached one,
+ *   open pages get a "data-updated" message so they can offer a reload.
+ *
+ * Bump CACHE_VERSION when the list of precached files changes.
+ */
+
+const CACHE_VERSION = "v9";
+const CACHE_NAME = `hospital-search-${CACHE_VERSION}`;
+const DATA_URL = "data/search-manifest.json";
+const HASHED_DATA_RE = /\/data\/[\w-]+\.[0-9a-f]{8,}(\.min)?\.json$/;
+
+const PRECACHE = [
+  "./",
+  "index.html",
+  "app.js",
+  "remove-diacritics.js",
+  "search-normalize.js",
+  "search-options.js",
+  "search-engine.js",
+  "search-query.js",
+  "search-filter.js",
+  "hospital-id.js",
+  "i18n.js",
+  "messages.js",
+  "search-worker.js",
+  "style.css",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "icons/icon-192.png",
+  "lib/fuse.min.js",
+  "lib/leaflet/leaflet.js",
+  "lib/leaflet/leaflet.css",
+  "lib/leaflet/leaflet.markercluster.js",
+  "lib/leaflet/MarkerCluster.css",
+  "lib/leaflet/MarkerCluster.Default.css",
+  "data/district_aliases.json",
+  DATA_URL,
+];
+
+/* ─── Lifecycle ─────────────────────────────────────────────────────────── */
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then(async (cache) => {
+        await cache.addAll(PRECACHE);
+        await cache.addAll(await bundleFiles(await cache.match(DATA_URL)));
+      })
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("hospital-search-") && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+// Data files named by a search manifest response
+async function bundleFiles(response) {
+  if (!response) return [];
+  try {
+    const manifest = await response.clone().json();
+    return [manifest.data, manifest.index].filter(Boolean).map((file) => "data/" + file);
+  } catch {
+    return [];
+  }
+}
+
+/* ─── Fetch: stale-while-revalidate ─────────────────────────────────────── */
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  // Map tiles and other hosts go straight to the network
+  if (event.request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (HASHED_DATA_RE.test(url.pathname)) {
+    event.respondWith(cacheFirst(event.request));
+    return;
+  }
+  const isData = url.pathname.endsWith("/" + DATA_URL);
+  event.respondWith(staleWhileRevalidate(event, isData));
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+async function staleWhileRevalidate(event, isData) {
+  const cache = await caches.open(CACHE_NAME);
+  // Cache by path only, so shared links like ?q=…&province=… all resolve to index.html
+  const url = new URL(event.request.url);
+  const key = url.origin + url.pathname;
+  const cached = await cache.match(key);
+
+  const refresh = fetch(event.request)
+    .then(async (response) => {
+      if (!response.ok) return response;
+      const changed = isData && cached && (await isNewData(cached, response.clone()));
+      // Fetch the files a new manifest names before caching it, so the cached
+      // manifest never points at files that aren't cached; if that fails the
+      // old manifest and its files stay
+      if (changed) await cache.addAll(await bundleFiles(response));
+      await cache.put(key, response.clone());
+      if (changed) {
+        await pruneBundleFiles(cache, response.clone());
+        notifyDataUpdated(await generatedAt(response.clone()));
+      }
+      return response;
+    })
+    .catch((err) => {
+      if (cached) return cached;
+      throw err;
+    });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+// Prefer validators; fall back to comparing bodies when the server sends none
+async function isNewData(cached, fresh) {
+  for (const header of ["ETag", "Last-Modified"]) {
+    const a = cached.headers.get(header);
+    const b = fresh.headers.get(header);
+    if (a && b) return a !== b;
+  }
+  const [oldText, newText] = await Promise.all([cached.clone().text(), fresh.text()]);
+  return oldText !== newText;
+}
+
+async function generatedAt(manifestResponse) {
+  try {
+    return (await manifestResponse.json()).generatedAt || "";
+  } catch {
+    return manifestResponse.headers.get("Last-Modified") || "";
+  }
+}
+
+// Drop hashed files from older builds once a new manifest is cached
+async function pruneBundleFiles(cache, manifestResponse) {
+  const current = new Set(
+    (await bundleFiles(manifestResponse)).map((file) => new URL(file, self.registration.scope).pathname),
+  );
+  for (const request of await cache.keys()) {
+    const { pathname } = new URL(request.url);
+    if (HASHED_DATA_RE.test(pathname) && !current.has(pathname)) await cache.delete(request);
+  }
+}
+
+async function notifyDataUpdated(updatedAt) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  for (const client of clients) {
+    client.postMessage({ type: "data-updated", updatedAt: updatedAt || "" });
+  }
+}
@@ -0,0 +1,149 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, waitFor, type, press } = require("./helpers/app-dom.js");
+const { axeViolations } = require("./helpers/axe.js");
+
+test("welcome state has no axe violations", async () => {
+  const window = await loadApp();
+  assert.deepEqual(await axeViolations(window), []);
+  window.close();
+});
+
+test("results and open combobox have no axe violations", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  type(window, document.getElementById("searchInput"), "bệnh viện");
+  await waitFor(() => !document.getElementById("resultBar").classList.contains("hidden"));
+  document.querySelector("#provinceCombo input").focus();
+
+  assert.deepEqual(await axeViolations(window), []);
+  window.close();
+});
+
+test("province combobox exposes its state through ARIA", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const input = document.querySelector("#provinceCombo input");
+  const list = document.getElementById("provinceCombo-list");
+
+  assert.equal(input.getAttribute("role"), "combobox");
+  assert.equal(input.getAttribute("aria-controls"), list.id);
+  assert.equal(list.getAttribute("role"), "listbox");
+  assert.equal(input.getAttribute("aria-expanded"), "false");
+
+  input.focus();
+  assert.equal(input.getAttribute("aria-expanded"), "true");
+  const options = list.querySelectorAll('[role="option"]');
+  assert.equal(options.length, 3);
+
+  press(window, input, "ArrowDown");
+  press(window, input, "ArrowDown");
+  const active = document.getElementById(input.getAttribute("aria-activedescendant"));
+  assert.equal(active, options[1]);
+  assert.equal(active.getAttribute("aria-selected"), "true");
+  assert.equal(options[0].getAttribute("aria-selected"), "false");
+
+  press(window, input, "Enter");
+  assert.equal(input.value, active.dataset.value);
+  assert.equal(input.getAttribute("aria-expanded"), "false");
+  assert.equal(input.hasAttribute("aria-activedescendant"), false);
+  assert.equal(document.activeElement, input);
+  window.close();
+});
+
+test("leaving a combobox keeps the selection instead of clearing it", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const input = document.querySelector("#provinceCombo input");
+  let changes = 0;
+  document.getElementById("provinceCombo").addEventListener("change", () => changes++);
+
+  // Exact text is committed without picking from the list
+  type(window, input, "ha noi");
+  input.blur();
+  assert.equal(input.value, "Hà Nội");
+  assert.equal(changes, 1);
+
+  // Text that names no option puts the selection back, right away
+  type(window, input, "Hà N");
+  input.blur();
+  assert.equal(input.value, "Hà Nội");
+  assert.equal(changes, 1);
+
+  // Escape closes the list first, then undoes the edit without moving focus
+  type(window, input, "xyz");
+  press(window, input, "Escape");
+  assert.equal(input.getAttribute("aria-expanded"), "false");
+  assert.equal(input.value, "xyz");
+  press(window, input, "Escape");
+  assert.equal(input.value, "Hà Nội");
+  assert.equal(document.activeElement, input);
+
+  // Erasing the text clears it
+  type(window, input, "");
+  input.blur();
+  assert.equal(input.value, "");
+  assert.equal(changes, 2);
+  window.close();
+});
+
+test("result counts are announced in a live region", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const live = document.getElementById("liveStatus");
+  assert.equal(live.getAttribute("role"), "status");
+
+  type(window, document.getElementById("searchInput"), "bệnh viện");
+  await waitFor(() => live.textContent !== "");
+  assert.match(live.textContent, /^\d+ bệnh viện: \d+ công, \d+ tư, \d+ chưa phân loại$/);
+
+  type(window, document.getElementById("searchInput"), "khong co benh vien nay");
+  await waitFor(() => live.textContent.startsWith("Không"));
+  assert.equal(live.textContent, "Không tìm thấy bệnh viện phù hợp.");
+  window.close();
+});
+
+test("the detail modal keeps Tab inside and gives focus back when closed", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  type(window, document.getElementById("searchInput"), "bệnh viện");
+  await waitFor(() => !document.getElementById("resultBar").classList.contains("hidden"));
+  const link = document.querySelector("#publicList .card .detail-link");
+  link.focus();
+  link.click();
+
+  const modal = document.getElementById("detailModal");
+  const close = modal.querySelector(".modal-close");
+  assert.equal(document.activeElement, close);
+  const tab = (shiftKey) =>
+    document.activeElement.dispatchEvent(new window.KeyboardEvent("keydown", { key: "Tab", shiftKey, bubbles: true, cancelable: true }));
+  tab(true);
+  const last = document.activeElement;
+  assert.ok(modal.contains(last) && last !== close);
+  tab(false);
+  assert.equal(document.activeElement, close);
+  // Focus that got behind the modal is brought back in
+  document.getElementById("searchInput").focus();
+  tab(false);
+  assert.equal(document.activeElement, close);
+
+  press(window, close, "Escape");
+  assert.ok(modal.classList.contains("hidden"));
+  assert.equal(document.activeElement, link);
+  window.close();
+});
+
+test("the near-me and map buttons expose their state through aria-pressed", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  Object.defineProperty(window.navigator, "geolocation", { value: { getCurrentPosition: () => {} } });
+  for (const id of ["nearMeBtn", "mapToggle"]) {
+    const btn = document.getElementById(id);
+    assert.equal(btn.getAttribute("aria-pressed"), "false");
+    btn.click();
+    assert.equal(btn.getAttribute("aria-pressed"), "true");
+    btn.click();
+    assert.equal(btn.getAttribute("aria-pressed"), "false");
+  }
+  window.close();
+});
@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  extractLocation,
+  parseNominatimResult,
+  normalizeCity,
+  normalizeDistrict,
+} = require("../scripts/address.js");
+const { extractCoords, parseBounds, isInBounds, haversine } = require("../scripts/geo.js");
+
+const nominatim = (name) => require(path.join(__dirname, "fixtures", "nominatim", name));
+
+test("extractLocation() builds district, city and address from addr:* tags", () => {
+  assert.deepEqual(
+    extractLocation({
+      "addr:housenumber": "78",
+      "addr:street": "Giải Phóng",
+      "addr:district": "Đống Đa",
+      "addr:city": "Hà Nội",
+    }),
+    { district: "Đống Đa", city: "Hà Nội", address: "78 Giải Phóng, Đống Đa, Hà Nội" },
+  );
+  // Fallback tags, and no dangling separators when parts are missing
+  assert.deepEqual(extractLocation({ "addr:suburb": "Quận 7", "addr:province": "Hồ Chí Minh" }), {
+    district: "Quận 7",
+    city: "Hồ Chí Minh",
+    address: "Quận 7, Hồ Chí Minh",
+  });
+  assert.deepEqual(extractLocation({}), { district: "", city: "", address: "" });
+});
+
+test("parseNominatimResult() reads city-level results", () => {
+  assert.deepEqual(parseNominatimResult(nominatim("hcm-district.json")), {
+    city: "Thành phố Hồ Chí Minh",
+    district: "Quận 5",
+    address: "201B Nguyễn Chí Thanh, Quận 5, Thành phố Hồ Chí Minh",
+    displayName:
+      "Bệnh viện Chợ Rẫy, 201B, Nguyễn Chí Thanh, Phường 12, Quận 5, Thành phố Hồ Chí Minh, 72700, Việt Nam",
+  });
+});
+
+test("parseNominatimResult() falls back to province-level fields", () => {
+  const parsed = parseNominatimResult(nominatim("rural-province.json"));
+  assert.equal(parsed.city, "Tỉnh Sơn La");
+  assert.equal(parsed.district, "");
+  assert.equal(parsed.address, "Tỉnh Sơn La");
+  assert.deepEqual(parseNominatimResult({}), { city: "", district: "", address: "", displayName: "" });
+});
+
+test("normalizeCity() strips the province prefix and maps known variants", () => {
+  assert.equal(normalizeCity("Tỉnh Đồng Nai"), "Đồng Nai");
+  assert.equal(normalizeCity("TP. Hồ Chí Minh"), "Hồ Chí Minh");
+  assert.equal(normalizeCity("Ho Chi Minh City"), "Hồ Chí Minh");
+  assert.equal(normalizeCity(" Huế "), "Thừa Thiên Huế");
+  assert.equal(normalizeCity("Hà Nội"), "Hà Nội");
+  assert.equal(normalizeCity(""), "");
+});
+
+test("normalizeDistrict() fixes bare numbers and doubled prefixes", () => {
+  assert.equal(normalizeDistrict("5"), "Quận 5");
+  assert.equal(normalizeDistrict(" 10 "), "Quận 10");
+  assert.equal(normalizeDistrict("Quận quận 3"), "Quận 3");
+  assert.equal(normalizeDistrict("Huyện Mai Sơn"), "Huyện Mai Sơn");
+  assert.equal(normalizeDistrict(""), "");
+});
+
+test("extractCoords() reads the point out of a Google Maps link", () => {
+  assert.deepEqual(extractCoords("https://www.google.com/maps/search/?api=1&query=21.0012,105.8405"), {
+    lat: 21.0012,
+    lon: 105.8405,
+  });
+  assert.equal(extractCoords(""), null);
+  assert.equal(extractCoords("https://example.com"), null);
+});
+
+test("parseBounds() reads 'lat1,lon1 – lat2,lon2' boxes in either corner order", () => {
+  const bounds = parseBounds("21.05,105.86 – 21.00,105.80");
+  assert.deepEqual(bounds, { minLat: 21.0, maxLat: 21.05, minLon: 105.8, maxLon: 105.86 });
+  assert.ok(isInBounds(21.02, 105.83, bounds));
+  assert.ok(!isInBounds(21.1, 105.83, bounds));
+  assert.equal(parseBounds("21.05,105.86 - 21.00,105.80"), null); // hyphen, not en dash
+  assert.equal(parseBounds("21.05,abc – 21.00,105.80"), null);
+  assert.equal(parseBounds(""), null);
+});
+
+test("haversine() gives distances in km", () => {
+  assert.equal(haversine(21.0, 105.8, 21.0, 105.8), 0);
+  // Hà Nội → Hồ Chí Minh City, about 1,140 km as the crow flies
+  const km = haversine(21.0285, 105.8542, 10.7769, 106.7009);
+  assert.ok(km > 1100 && km < 1180, String(km));
+});
@@ -0,0 +1,151 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { classify, scoreType, PUBLIC_KEYWORDS, PRIVATE_KEYWORDS, PRIVATE_BRANDS } = require("../scripts/classify.js");
+const { lowConfidence, formatReview, storeScores } = require("../scripts/review-types.js");
+const { removeDiacritics } = require("../scripts/text.js");
+
+// Names the keyword lists must keep classifying the same way
+const CASES = [
+  // Known hospitals win over keywords
+  ["Bệnh viện Chợ Rẫy", "public"],
+  ["Bệnh viện FV", "private"],
+  ["Bệnh viện Tâm Anh Hà Nội", "private"],
+  ["Benh vien Da khoa Binh Dan", "public"],
+  // Private brands are checked before public patterns like "đa khoa"
+  ["Bệnh viện Đa khoa Quốc tế Vinmec Times City", "private"],
+  ["Bệnh viện Đa khoa Hồng Ngọc", "private"],
+  ["Phòng khám Đa khoa Việt Úc", "private"],
+  // Numbered military/police hospitals
+  ["Bệnh viện 199", "public"],
+  ["Bệnh viện 09", "public"],
+  // Public keywords
+  ["Bệnh viện Đa khoa tỉnh Quảng Nam", "public"],
+  ["Bệnh viện Y học cổ truyền Đà Nẵng", "public"],
+  ["Bệnh viện Quân y 103", "public"],
+  ["Trung tâm Y tế huyện Ba Vì", "public"],
+  // Names without diacritics
+  ["Benh vien Da khoa Cam Pha", "public"],
+  ["Benh vien Huyen Tien Lang", "public"],
+  ["Hoan My General Hospital", "private"],
+  // Sài Gòn's public hospital, and private ones named after it
+  ["Bệnh viện Đa khoa Sài Gòn", "public"],
+  ["Bệnh viện Đa khoa Sài Gòn – Nam Định", "private"],
+  ["Bệnh viện Đa khoa Sài Gòn - Nam Định", "private"],
+  ["Bệnh viện đa khoa Sài Gòn Nha Trang", "private"],
+  // Nothing to go on
+  ["Bệnh viện Hòa Bình", "unclassified"],
+];
+
+test("classify() keeps its known public/private/unclassified answers", () => {
+  for (const [name, expected] of CASES) {
+    assert.equal(classify(name), expected, name);
+  }
+});
+
+test("classify() ignores case and surrounding spaces", () => {
+  assert.equal(classify("  BỆNH VIỆN BẠCH MAI "), "public");
+});
+
+test("keywords are lowercase, listed once and none is both public and private", () => {
+  const privateWords = [...PRIVATE_KEYWORDS, ...PRIVATE_BRANDS];
+  for (const list of [PUBLIC_KEYWORDS, privateWords]) {
+    for (const kw of list) assert.equal(kw, kw.toLowerCase(), kw);
+    assert.deepEqual(list.filter((kw, i) => list.indexOf(kw) !== i), []);
+  }
+  const overlap = privateWords.filter((kw) => PUBLIC_KEYWORDS.includes(kw));
+  assert.deepEqual(overlap, []);
+});
+
+test("scoreType() adds up every signal and explains the result", () => {
+  assert.deepEqual(scoreType("Bệnh viện Đa khoa Hồng Ngọc"), {
+    type: "private",
+    confidence: 0.5,
+    reasons: ['private +3: brand "hồng ngọc"', 'public +1: name has "đa khoa"'],
+  });
+  assert.deepEqual(scoreType("Bệnh viện Hòa Bình"), { type: "unclassified", confidence: 0, reasons: [] });
+
+  // OSM operator tags outweigh the name
+  const tagged = scoreType("Bệnh viện Quốc tế Hòa Bình", { "operator:type": "government" });
+  assert.equal(tagged.type, "public");
+  assert.equal(tagged.confidence, 0.75);
+  assert.equal(tagged.reasons[0], "public +5: operator:type=government");
+
+  const operated = scoreType("Bệnh viện Hòa Bình", { operator: "Công ty CP Y tế Hòa Bình" });
+  assert.deepEqual(operated.reasons, ['private +3: operator "Công ty CP Y tế Hòa Bình"']);
+  assert.equal(scoreType("Bệnh viện Hòa Bình", { operator: "Sở Y tế Hà Nội" }).type, "public");
+});
+
+test("scoreType() counts a keyword inside a longer matching one once", () => {
+  assert.deepEqual(scoreType("Bệnh viện Sản Nhi Quảng Ninh").reasons, ['public +2: name has "sản nhi"']);
+  assert.deepEqual(scoreType("Bệnh viện Lao và Bệnh phổi Hà Nam").reasons, ['public +2: name has "lao và bệnh phổi"']);
+  assert.deepEqual(scoreType("Bệnh viện 19-8 Bộ Công an").reasons, [
+    "public +3: numbered (military/police) hospital",
+    'public +2: name has "bộ công an"',
+  ]);
+  // The known name stands for the keywords in it
+  assert.deepEqual(scoreType("Bệnh viện Đa khoa Sài Gòn"), {
+    type: "public",
+    confidence: 1,
+    reasons: ['public +4: known hospital "bệnh viện đa khoa sài gòn"'],
+  });
+});
+
+test("scoreType() matches keywords as whole words in names without diacritics", () => {
+  assert.deepEqual(scoreType("Benh vien Mat Ha Noi").reasons, ['public +2: name has "mắt"']);
+  // "mat" inside another word is no match
+  assert.equal(scoreType("Benh vien Matsuda").type, "unclassified");
+});
+
+test("lowConfidence() lists doubtful records least certain first", () => {
+  const hospitals = [
+    { name: "Bệnh viện A", type: "public", typeConfidence: 0.25, typeReasons: ['public +1: name has "đa khoa"'] },
+    { name: "Bệnh viện B", type: "private", typeConfidence: 1, typeReasons: ['private +4: known hospital "b"'] },
+    { osmId: "way/3", name: "Bệnh viện C", type: "unclassified", typeConfidence: 0, typeReasons: [] },
+    // Older records are scored again from the name
+    { name: "Bệnh viện Đa khoa Hồng Ngọc", type: "public" },
+  ];
+  const rows = lowConfidence(hospitals);
+  assert.deepEqual(rows.map((r) => [r.hospital.name, r.confidence]), [
+    ["Bệnh viện C", 0],
+    ["Bệnh viện Đa khoa Hồng Ngọc", 0],
+    ["Bệnh viện A", 0.25],
+  ]);
+  assert.deepEqual(rows[1].reasons.at(-1), "scored by name: private");
+  assert.deepEqual(lowConfidence(hospitals, { type: "public", below: 0.2 }).map((r) => r.hospital.name), [
+    "Bệnh viện Đa khoa Hồng Ngọc",
+  ]);
+  assert.deepEqual(formatReview(rows.slice(0, 1)), [
+    "0.00  unclassified Bệnh viện C",
+    "      id: way/3",
+    "      (no signals)",
+  ]);
+});
+
+test("storeScores() scores older records and reports the types it changed", () => {
+  const { hospitals, changed } = storeScores([
+    { name: "Trung tâm Y tế huyện Ba Vì", type: "unclassified", city: "Hà Nội" },
+    // Stored types the name disagrees with came from OSM tags; they stay, doubtful
+    { name: "Bệnh viện Đa khoa ACA", type: "private" },
+    // ...unless the name is a known hospital
+    { name: "Bệnh viện Đa khoa Sài Gòn", type: "private" },
+    { name: "Bệnh viện A", type: "public", typeConfidence: 0.25, typeReasons: [] },
+  ]);
+  assert.deepEqual(Object.keys(hospitals[0]), ["name", "type", "typeConfidence", "typeReasons", "city"]);
+  assert.deepEqual(hospitals.map((h) => [h.type, h.typeConfidence]), [
+    ["public", 0.5],
+    ["private", 0],
+    ["public", 1],
+    ["public", 0.25],
+  ]);
+  assert.equal(hospitals[1].typeReasons.at(-1), "scored by name: public");
+  assert.deepEqual(changed.map((c) => [c.from, c.hospital.type, c.hospital.name]), [
+    ["unclassified", "public", "Trung tâm Y tế huyện Ba Vì"],
+    ["private", "public", "Bệnh viện Đa khoa Sài Gòn"],
+  ]);
+});
+
+test("removeDiacritics() folds Vietnamese letters to ASCII", () => {
+  assert.equal(removeDiacritics("Đống Đa, Hà Nội"), "Dong Da, Ha Noi");
+  assert.equal(removeDiacritics("Thừa Thiên Huế"), "Thua Thien Hue");
+  assert.equal(removeDiacritics("bệnh viện đa khoa"), "benh vien da khoa");
+});
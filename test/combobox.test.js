@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, type, press } = require("./helpers/app-dom.js");
+
+// A standalone combobox with the markup index.html gives the real ones
+function mountCombobox(window, options) {
+  const { document } = window;
+  const container = document.createElement("div");
+  container.className = "combobox";
+  container.innerHTML = `
+    <input type="text" role="combobox" aria-label="Tỉnh" aria-expanded="false" aria-controls="testCombo-list" />
+    <button type="button" class="combo-clear hidden" aria-label="Xoá"></button>
+    <div class="combo-list hidden" id="testCombo-list" role="listbox"></div>`;
+  document.body.appendChild(container);
+  const combo = window.createCombobox(container, options);
+  combo.setOptions(["Hà Nội", "Hồ Chí Minh", "Đà Nẵng", "Hải Phòng"]);
+  const events = [];
+  container.addEventListener("change", () => events.push(combo.getValue()));
+  return {
+    combo,
+    events,
+    input: container.querySelector("input"),
+    clear: container.querySelector(".combo-clear"),
+    list: container.querySelector(".combo-list"),
+    optionTexts: () => Array.from(container.querySelectorAll(".combo-item"), (el) => el.textContent),
+  };
+}
+
+test("typing filters options without diacritics and marks the match", async () => {
+  const window = await loadApp();
+  const { input, list, optionTexts } = mountCombobox(window);
+
+  input.focus();
+  assert.equal(optionTexts().length, 4);
+  type(window, input, "ha");
+  assert.deepEqual(optionTexts(), ["Hà Nội", "Hải Phòng"]);
+  assert.equal(list.querySelector("mark").textContent, "Hà");
+
+  type(window, input, "da nang");
+  assert.deepEqual(optionTexts(), ["Đà Nẵng"]);
+
+  type(window, input, "xyz");
+  assert.deepEqual(optionTexts(), []);
+  assert.equal(list.querySelector(".combo-empty").textContent, "Không tìm thấy");
+  window.close();
+});
+
+test("picking an option selects it and fires change once", async () => {
+  const window = await loadApp();
+  const { combo, events, input, clear, optionTexts } = mountCombobox(window);
+
+  type(window, input, "hai");
+  assert.deepEqual(optionTexts(), ["Hải Phòng"]);
+  const option = window.document.querySelector("#testCombo-list .combo-item");
+  option.dispatchEvent(new window.MouseEvent("mousedown", { bubbles: true, cancelable: true }));
+
+  assert.equal(combo.getValue(), "Hải Phòng");
+  assert.equal(input.value, "Hải Phòng");
+  assert.ok(!clear.classList.contains("hidden"));
+  assert.deepEqual(events, ["Hải Phòng"]);
+
+  // Picking the same value again is not a change
+  combo.setValue("Hải Phòng");
+  assert.deepEqual(events, ["Hải Phòng"]);
+
+  clear.click();
+  assert.equal(combo.getValue(), "");
+  assert.equal(input.value, "");
+  assert.deepEqual(events, ["Hải Phòng", ""]);
+  window.close();
+});
+
+test("setValue(value, true) updates silently; match() accepts loose spellings", async () => {
+  const window = await loadApp();
+  const { combo, events, input } = mountCombobox(window);
+
+  combo.setValue("Đà Nẵng", true);
+  assert.equal(input.value, "Đà Nẵng");
+  assert.deepEqual(events, []);
+
+  assert.equal(combo.match("ho-chi-minh"), "Hồ Chí Minh");
+  assert.equal(combo.match("HẢI PHÒNG"), "Hải Phòng");
+  assert.equal(combo.match("ha"), "");
+  window.close();
+});
+
+test("getLabel() changes what is shown, not the value", async () => {
+  const window = await loadApp();
+  const labels = { "Hà Nội": "Hanoi", "Hồ Chí Minh": "Ho Chi Minh City" };
+  const { combo, input, optionTexts } = mountCombobox(window, { getLabel: (v) => labels[v] || v });
+
+  // Either spelling finds the option
+  type(window, input, "hanoi");
+  assert.deepEqual(optionTexts(), ["Hanoi"]);
+  type(window, input, "ha noi");
+  assert.deepEqual(optionTexts(), ["Hanoi"]);
+
+  press(window, input, "ArrowDown");
+  press(window, input, "Enter");
+  assert.equal(combo.getValue(), "Hà Nội");
+  assert.equal(input.value, "Hanoi");
+  window.close();
+});
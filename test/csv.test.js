@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { parseCSV, parseCSVRow, parseCSVRecords, escapeCSV, toCSV } = require("../scripts/csv.js");
+const { csvToHospitals } = require("../scripts/csv-to-json.js");
+const { COLUMNS } = require("../scripts/json-to-csv.js");
+
+const FIXTURE = fs.readFileSync(path.join(__dirname, "fixtures", "hospitals.csv"), "utf8");
+
+test("parseCSVRow() handles quoted commas and doubled quotes", () => {
+  assert.deepEqual(parseCSVRow('a,"b, c","say ""hi""",'), ["a", "b, c", 'say "hi"', ""]);
+});
+
+test("parseCSV() keeps line breaks inside quoted fields and skips blank lines", () => {
+  const rows = parseCSV('name,address\r\n"BV A","1 Đường X\r\nQuận 1"\r\n\r\nBV B,2 Đường Y\r\n');
+  assert.deepEqual(rows, [
+    ["name", "address"],
+    ["BV A", "1 Đường X\nQuận 1"],
+    ["BV B", "2 Đường Y"],
+  ]);
+});
+
+test("parseCSVRecords() keys rows by the header and trims values", () => {
+  assert.deepEqual(parseCSVRecords(" name , city\nBV A ,  Hà Nội\nBV B"), [
+    { name: "BV A", city: "Hà Nội" },
+    { name: "BV B", city: "" },
+  ]);
+});
+
+test("escapeCSV() quotes only when needed", () => {
+  assert.equal(escapeCSV("Bạch Mai"), "Bạch Mai");
+  assert.equal(escapeCSV("78 Giải Phóng, Đống Đa"), '"78 Giải Phóng, Đống Đa"');
+  assert.equal(escapeCSV('BV "A"'), '"BV ""A"""');
+  assert.equal(escapeCSV("a\nb"), '"a\nb"');
+  assert.equal(escapeCSV(undefined), "");
+  assert.equal(escapeCSV(null), "");
+  assert.equal(escapeCSV(0), "0");
+});
+
+test("csvToHospitals() reads the exported columns by name", () => {
+  const hospitals = csvToHospitals(FIXTURE);
+  assert.deepEqual(
+    hospitals.map((h) => h.name),
+    // Sorted by city → district → name
+    ["Bệnh viện Bạch Mai", 'Bệnh viện "Quốc tế" City', "Bệnh viện Chợ Rẫy"],
+  );
+  const [bachMai, quocTe] = hospitals;
+  assert.equal(bachMai.address, "78 Giải Phóng, Đống Đa, Hà Nội");
+  assert.equal(bachMai.oldDistrict, "Đống Đa");
+  assert.equal(bachMai.newWard, "Kim Liên");
+  assert.equal(bachMai.phone, "024 3869 3731");
+  assert.equal(bachMai.nameAscii, "benh vien bach mai");
+  assert.equal(bachMai.cityAscii, "ha noi");
+  assert.equal(quocTe.address, "3 Đường 17A\nBình Tân");
+  assert.equal(quocTe.website, "https://cih.com.vn");
+});
+
+test("hospitals survive a CSV round trip", () => {
+  const hospitals = csvToHospitals(FIXTURE);
+  const again = csvToHospitals(toCSV(COLUMNS, hospitals));
+  assert.deepEqual(again, hospitals);
+});
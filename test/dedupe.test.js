@@ -0,0 +1,150 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { nameSimilarity, mergeCluster, dedupe, run } = require("../scripts/dedupe.js");
+const { toHospitals } = require("../scripts/fetch-osm.js");
+const { hospitalId } = require("../hospital-id.js");
+
+const OVERPASS = path.join(__dirname, "fixtures", "overpass");
+const elements = (file) => JSON.parse(fs.readFileSync(path.join(OVERPASS, file), "utf8")).elements;
+const at = (lat, lon) => `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`;
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+// The same hospital typed two ways, a branch campus, a neighbour and a copy
+// without coordinates
+function hospitals() {
+  return [
+    {
+      osmId: "node/1",
+      name: "Benh Vien Da Khoa Binh Dan",
+      type: "public",
+      typeConfidence: 0.25,
+      district: "Quận 10",
+      phone: "028 3839 4747",
+      website: "",
+      mapsUrl: at(10.7731, 106.6672),
+      specialties: ["orthopedics"],
+    },
+    {
+      osmId: "way/2",
+      name: "Bệnh viện Đa khoa Bình Dân",
+      type: "public",
+      typeConfidence: 1,
+      district: "Quận 10",
+      phone: "",
+      website: "https://benhvienbinhdan.com",
+      mapsUrl: at(10.7733, 106.6674),
+      specialties: ["nephrology"],
+    },
+    { osmId: "way/3", name: "Bệnh viện Bình Dân cơ sở 2", district: "Quận 10", mapsUrl: at(10.774, 106.668) },
+    { osmId: "node/4", name: "Bệnh viện Mắt Bình Dân", district: "Quận 10", mapsUrl: at(10.7732, 106.6673) },
+    { osmId: "node/5", name: "BV Da khoa Binh Dan", district: "Quận 10", mapsUrl: "" },
+    { osmId: "node/6", name: "Bệnh viện Đa khoa Bình Dân", district: "Quận 3", mapsUrl: at(10.78, 106.69) },
+  ];
+}
+
+test("nameSimilarity() ignores diacritics, case and hospital noise words", () => {
+  assert.equal(nameSimilarity("Benh Vien Da Khoa Binh Dan", "Bệnh viện Đa khoa Bình Dân"), 1);
+  assert.equal(nameSimilarity("BV Bình Dân", "Bình Dân Hospital"), 1);
+  assert.equal(nameSimilarity("Bệnh viện Bình Dân", "Bệnh viện Bình Dân cơ sở 2"), 0);
+  assert.equal(nameSimilarity("Bệnh viện Vạn Hạnh", "Bệnh viện Vạn Hanh"), 1);
+  assert.equal(nameSimilarity("Bệnh viện Hạnh Phúc", "Bệnh viện Hạnh Phước"), 0.8);
+  // Different numbers or specialties are different hospitals
+  assert.equal(nameSimilarity("Bệnh viện Quận 1", "Bệnh viện Quận 11"), 0);
+  assert.equal(nameSimilarity("Bệnh viện Mắt tỉnh Lai Châu", "Bệnh viện Phổi tỉnh Lai Châu"), 0);
+  // Names made only of noise words could be any hospital
+  assert.equal(nameSimilarity("Bệnh viện Đa khoa", "Hospital"), 0);
+  assert.equal(nameSimilarity("BV", "BV"), 0);
+});
+
+test("mergeCluster() keeps the richer fields and records the merged ids", () => {
+  const [node, way] = hospitals();
+  const merged = mergeCluster([node, way]);
+  // The way leads: it outlines the whole facility
+  assert.equal(merged.osmId, "way/2");
+  assert.deepEqual(merged.mergedFrom, ["node/1"]);
+  assert.equal(merged.name, "Bệnh viện Đa khoa Bình Dân");
+  assert.equal(merged.nameAscii, "benh vien da khoa binh dan");
+  assert.equal(merged.phone, "028 3839 4747");
+  assert.equal(merged.website, "https://benhvienbinhdan.com");
+  assert.equal(merged.mapsUrl, at(10.7733, 106.6674));
+  assert.deepEqual(merged.specialties, ["nephrology", "orthopedics"]);
+  assert.equal(merged.typeConfidence, 1);
+
+  // The node's links lead here; the way's own id stays what it was
+  assert.deepEqual(merged.formerIds, [hospitalId(node)]);
+  assert.equal(merged.id, undefined);
+
+  // Merging again keeps what was absorbed before
+  const again = mergeCluster([merged, { osmId: "node/9", name: "Bình Dân Hospital", mapsUrl: "" }]);
+  assert.deepEqual(again.mergedFrom, ["node/1", "node/9"]);
+  assert.deepEqual(again.formerIds, [hospitalId(node), hospitalId({ name: "Bình Dân Hospital", mapsUrl: "" })]);
+});
+
+test("mergeCluster() pins the primary's id when it takes another member's name", () => {
+  const way = { osmId: "way/1", name: "Benh vien Binh Dan", mapsUrl: at(10.7733, 106.6674) };
+  const node = { osmId: "node/2", name: "Bệnh viện Bình Dân", mapsUrl: at(10.7731, 106.6672) };
+  const merged = mergeCluster([node, way]);
+  assert.equal(merged.name, "Bệnh viện Bình Dân");
+  assert.equal(merged.id, hospitalId(way));
+  assert.deepEqual(merged.formerIds, [hospitalId(node)]);
+});
+
+test("dedupe() merges identical names and proposes similar ones for review", () => {
+  const records = hospitals();
+  records.push({ osmId: "node/7", name: "Bệnh viện Bình Dân", district: "Quận 10", mapsUrl: at(10.7735, 106.6675) });
+  records[2].name = "Benh vien Binh Dan";
+  records.push({ osmId: "node/8", name: "Bệnh viện Bình Dâng", district: "Quận 3", mapsUrl: at(10.7801, 106.6901) });
+
+  const { hospitals: result, report } = dedupe(records);
+  // node/1, way/2, way/3 and node/7 all read "binh dan" (plus node/5, with no
+  // coordinates but the same district); node/4 is the eye hospital next door
+  assert.deepEqual(report.merged.map((m) => [m.into, m.reason, [...m.ids].sort()]), [
+    ["way/2", "same name", ["node/1", "node/5", "node/7", "way/2", "way/3"]],
+  ]);
+  assert.deepEqual(result.map((h) => h.osmId), ["way/2", "node/4", "node/6", "node/8"]);
+  // node/6 is far away, in another district; node/8 is next to it, misspelt
+  assert.deepEqual(report.proposed.map((p) => [...p.ids].sort()), [["node/6", "node/8"]]);
+  assert.ok(report.proposed[0].similarity >= 0.75);
+  assert.equal(typeof report.proposed[0].distanceKm, "number");
+});
+
+test("dedupe() follows accept and reject decisions and reports stale ones", () => {
+  const records = [
+    { osmId: "way/1", name: "Bệnh viện Hạnh Phúc", mapsUrl: at(10.77, 106.66) },
+    { osmId: "node/2", name: "Bệnh viện Hạnh Phước", mapsUrl: at(10.7701, 106.6601) },
+    { osmId: "way/3", name: "Bệnh viện Triều An", mapsUrl: at(10.75, 106.6) },
+    { osmId: "node/4", name: "Bệnh viện Triều Anh", mapsUrl: at(10.7501, 106.6001) },
+  ];
+  const { hospitals: result, report } = dedupe(records, {
+    merge: [["node/2", "way/1"], ["node/404", "way/1"]],
+    distinct: [["way/3", "node/4"]],
+  });
+  assert.deepEqual(result.map((h) => h.osmId), ["way/1", "way/3", "node/4"]);
+  assert.deepEqual(result[0].mergedFrom, ["node/2"]);
+  assert.equal(report.merged[0].reason, "accepted");
+  assert.deepEqual(report.distinct.map((d) => d.ids), [["way/3", "node/4"]]);
+  assert.deepEqual(report.proposed, []);
+  assert.deepEqual(report.stale, [["node/404", "way/1"]]);
+});
+
+test("dedupe stage merges OSM duplicates and writes its report", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hospital-dedupe-"));
+  tempDirs.push(dir);
+  const reportFile = path.join(dir, "dedupe-report.json");
+  const file = path.join(dir, "duplicates.json");
+  const ctx = { dryRun: false, log: () => {} };
+
+  // Bạch Mai is mapped as both way/202 and node/505
+  const result = run(toHospitals(elements("sync-1.json")), ctx, { file, reportFile });
+  assert.deepEqual(result.map((h) => h.osmId).sort(), ["node/101", "relation/303", "way/202"]);
+  const report = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+  assert.deepEqual(report.merged[0].ids, ["way/202", "node/505"]);
+
+  fs.writeFileSync(file, JSON.stringify({ merge: "way/202 node/505" }));
+  assert.throws(() => run([], ctx, { file }), /Invalid duplicates\.json/);
+});
@@ -0,0 +1,88 @@
+/**
+ * Loads index.html and its scripts into jsdom, with data requests answered
+ * from test/fixtures. Resolves once init() has finished loading the data.
+ *
+ * jsdom has no Worker, so search runs in the page (startInPageSearch), and no
+ * service worker, so the offline setup is skipped.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM, ResourceLoader, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+
+// Scripts and stylesheets come straight from the repo
+class LocalResources extends ResourceLoader {
+  fetch(url) {
+    return Promise.resolve(fs.readFileSync(path.join(ROOT, new URL(url).pathname)));
+  }
+}
+
+// Without a search manifest the app falls back to data/hospitals.json
+function fixtureFetch(files) {
+  return async (url) => {
+    const name = new URL(url, "http://localhost/").pathname.replace(/^\/data\//, "");
+    const file = files[name];
+    if (!file) return { ok: false, status: 404, headers: new Map() };
+    const body = fs.readFileSync(path.join(FIXTURES, file), "utf8");
+    return { ok: true, status: 200, headers: new Map(), json: async () => JSON.parse(body) };
+  };
+}
+
+/**
+ * @param {{search?: string, files?: object}} [options]
+ *   `search` is the page's query string; `files` maps data/ paths to fixtures
+ * @returns {Promise<Window>}
+ */
+async function loadApp({ search = "", files = { "hospitals.json": "hospitals.json" } } = {}) {
+  // Script errors are collected on window.scriptErrors for tests to check.
+  // Leaflet measures layout jsdom doesn't have, so its errors are ignored.
+  const scriptErrors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on("jsdomError", (err) => {
+    if (!/leaflet/i.test(err.stack || "")) scriptErrors.push(err);
+  });
+
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const dom = new JSDOM(html, {
+    url: "http://localhost/index.html" + search,
+    runScripts: "dangerously",
+    resources: new LocalResources(),
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.fetch = fixtureFetch(files);
+      window.Element.prototype.scrollIntoView = () => {};
+    },
+  });
+  const window = dom.window;
+  window.scriptErrors = scriptErrors;
+
+  await new Promise((resolve) => window.addEventListener("load", resolve));
+  await waitFor(() => window.document.getElementById("loading").classList.contains("hidden"));
+  if (scriptErrors.length > 0) throw scriptErrors[0];
+  return window;
+}
+
+async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out waiting for condition");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// Types into an input the way a user would: value change + input event
+function type(window, input, text) {
+  input.focus();
+  input.value = text;
+  input.dispatchEvent(new window.Event("input", { bubbles: true }));
+}
+
+function press(window, element, key) {
+  element.dispatchEvent(new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true }));
+}
+
+module.exports = { loadApp, waitFor, type, press };
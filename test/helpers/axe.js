@@ -0,0 +1,26 @@
+/**
+ * Runs axe-core's WCAG 2.1 A/AA rules inside a jsdom window.
+ *
+ * color-contrast is off: jsdom doesn't lay out or paint, so axe can't
+ * compute the colors it needs.
+ */
+
+const axe = require("axe-core");
+
+/**
+ * @param {Window} window
+ * @returns {Promise<string[]>} one line per violating element, empty if clean
+ */
+async function axeViolations(window) {
+  if (!window.axe) window.eval(axe.source);
+  const results = await window.axe.run(window.document, {
+    runOnly: { type: "tag", values: ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa"] },
+    rules: { "color-contrast": { enabled: false } },
+  });
+  // Array.from: the results are arrays of the jsdom realm
+  return Array.from(results.violations).flatMap((v) =>
+    Array.from(v.nodes, (node) => `${v.id}: ${node.target.join(" ")} — ${v.help}`),
+  );
+}
+
+module.exports = { axeViolations };
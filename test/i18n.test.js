@@ -0,0 +1,67 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const I18n = require("../i18n.js");
+const MESSAGES = require("../messages.js");
+const { loadApp, waitFor, type } = require("./helpers/app-dom.js");
+const { axeViolations } = require("./helpers/axe.js");
+
+test("messages fill placeholders and pick plural forms", () => {
+  const { t } = I18n.createTranslator(MESSAGES, "en");
+  assert.equal(t("combo.clear", { label: "Province" }), "Clear Province");
+  assert.notEqual(t("results.count", { count: 1 }), t("results.count", { count: 2 }));
+  assert.match(t("results.count", { count: 2 }), /^2 /);
+});
+
+test("missing English messages fall back to Vietnamese, unknown keys to the key", () => {
+  const { t, has } = I18n.createTranslator({ vi: { a: "một", b: "hai" }, en: { a: "one" } }, "en");
+  assert.equal(t("a"), "one");
+  assert.equal(t("b"), "hai");
+  assert.equal(has("b"), false);
+  assert.equal(t("c"), "c");
+});
+
+test("every English message has a Vietnamese original", () => {
+  const extra = Object.keys(MESSAGES.en).filter((key) => !(key in MESSAGES.vi) && !key.startsWith("specialty."));
+  assert.deepEqual(extra, []);
+});
+
+test("every Vietnamese message has an English translation", () => {
+  const missing = Object.keys(MESSAGES.vi).filter((key) => !(key in MESSAGES.en));
+  assert.deepEqual(missing, []);
+});
+
+test("place names are spelled in English", () => {
+  const { placeName } = I18n.createTranslator(MESSAGES, "en");
+  assert.equal(placeName("Quận 7"), "District 7");
+  assert.equal(placeName("Quận Ba Đình"), "Ba Dinh District");
+  assert.equal(placeName("Thành phố Hồ Chí Minh"), "Ho Chi Minh City");
+  assert.equal(placeName("Hà Nội"), "Hanoi");
+  assert.equal(placeName("Phường Kim Liên"), "Kim Lien Ward");
+  assert.equal(I18n.createTranslator(MESSAGES, "vi").placeName("Quận 7"), "Quận 7");
+});
+
+test("language comes from the URL, then the saved choice", () => {
+  const supported = ["vi", "en"];
+  assert.equal(I18n.pickLanguage("?lang=en", "vi", supported), "en");
+  assert.equal(I18n.pickLanguage("?lang=fr", "en", supported), "en");
+  assert.equal(I18n.pickLanguage("", null, supported), "vi");
+});
+
+test("?lang=en shows the page in English and switching back keeps the search", async () => {
+  const window = await loadApp({ search: "?lang=en" });
+  const { document } = window;
+  assert.equal(document.documentElement.lang, "en");
+  const input = document.getElementById("searchInput");
+  assert.equal(input.getAttribute("aria-label"), MESSAGES.en["search.label"]);
+
+  type(window, input, "bệnh viện");
+  await waitFor(() => !document.getElementById("resultBar").classList.contains("hidden"));
+  assert.deepEqual(await axeViolations(window), []);
+
+  document.querySelector('.lang-switch [data-lang="vi"]').click();
+  assert.equal(document.documentElement.lang, "vi");
+  assert.equal(input.value, "bệnh viện");
+  assert.equal(input.getAttribute("aria-label"), MESSAGES.vi["search.label"]);
+  await waitFor(() => !window.location.search.includes("lang="));
+  window.close();
+});
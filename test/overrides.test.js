@@ -0,0 +1,143 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validateOverrides, applyOverrides, run } = require("../scripts/overrides.js");
+const { mergeRecords } = require("../scripts/sync.js");
+const { hospitalId } = require("../hospital-id.js");
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function hospitals() {
+  return [
+    {
+      osmId: "node/1",
+      name: "Bệnh viện Quân y 175",
+      nameAscii: "benh vien quan y 175",
+      type: "unclassified",
+      phone: "",
+      mapsUrl: "https://www.google.com/maps/search/?api=1&query=10.8,106.7",
+      specialties: [],
+    },
+    { osmId: "way/2", name: "Phòng khám Đa khoa Hòa Hảo", type: "private", phone: "028 1", mapsUrl: "" },
+    { osmId: "way/3", name: "BV Hòa Hảo", type: "private", phone: "028 1", mapsUrl: "" },
+    { name: "Bệnh viện Tâm Anh", type: "private", phone: "", mapsUrl: "https://www.google.com/maps/search/?api=1&query=21,105.8" },
+  ];
+}
+
+test("validateOverrides() reports every problem with its id and field", () => {
+  assert.deepEqual(validateOverrides({ "node/1": { type: "public", specialties: ["pediatrics"], note: "quân đội" } }), []);
+  assert.deepEqual(validateOverrides([]), ["must be an object mapping hospital ids to overrides"]);
+  assert.deepEqual(
+    validateOverrides({
+      "node/1": { type: "gov", phon: "1", coords: { lat: "10", lon: 106 } },
+      "way/2": { specialties: ["pediatrics", "astrology"], website: "bvhh.vn" },
+      "way/3": { duplicateOf: "way/3", name: "X" },
+      "way/4": "exclude",
+    }),
+    [
+      "node/1: type must be one of public, private, unclassified",
+      "node/1: phon unknown field (fields: type, name, phone, website, coords, specialties, exclude, duplicateOf, note)",
+      "node/1: coords must be {lat, lon} in degrees",
+      "way/2: specialties unknown specialty astrology",
+      "way/2: website must be an http(s) URL or empty",
+      "way/3: duplicateOf names the record itself",
+      "way/3: a removed record can't have field corrections too",
+      "way/4: must be an object",
+    ],
+  );
+});
+
+test("applyOverrides() corrects fields by OSM id or app id and keeps links stable", () => {
+  const records = hospitals();
+  const tamAnhId = hospitalId(records[3]);
+  const { hospitals: result, report } = applyOverrides(records, {
+    "node/1": { type: "public", phone: "069 1", specialties: ["orthopedics", "cardiology"] },
+    [tamAnhId]: { name: "Bệnh viện Đa khoa Tâm Anh", coords: { lat: 21.01, lon: 105.81 } },
+  });
+
+  assert.equal(result[0].type, "public");
+  assert.deepEqual(result[0].specialties, ["cardiology", "orthopedics"]);
+  assert.deepEqual(result[0].overridden, ["phone", "specialties", "type"]);
+  assert.equal(result[0].id, undefined);
+
+  assert.equal(result[3].name, "Bệnh viện Đa khoa Tâm Anh");
+  assert.equal(result[3].nameAscii, "benh vien da khoa tam anh");
+  assert.equal(result[3].mapsUrl, "https://www.google.com/maps/search/?api=1&query=21.01,105.81");
+  assert.deepEqual(result[3].overridden, ["mapsUrl", "name"]);
+  assert.equal(hospitalId(result[3]), tamAnhId);
+
+  assert.deepEqual(report.applied.map((a) => a.id), ["node/1", tamAnhId]);
+  // The input is left as it was
+  assert.equal(records[0].type, "unclassified");
+});
+
+test("applyOverrides() removes excluded records and duplicates", () => {
+  const { hospitals: result, report } = applyOverrides(hospitals(), {
+    "way/2": { exclude: "Phòng khám, không phải bệnh viện" },
+    "way/3": { duplicateOf: "node/1" },
+  });
+  assert.deepEqual(result.map((h) => h.osmId), ["node/1", undefined]);
+  assert.deepEqual(report.applied, [
+    { id: "way/2", name: "Phòng khám Đa khoa Hòa Hảo", removed: "excluded" },
+    { id: "way/3", name: "BV Hòa Hảo", removed: "duplicate of node/1" },
+  ]);
+});
+
+test("applyOverrides() reports stale and redundant overrides", () => {
+  const { hospitals: result, report } = applyOverrides(hospitals(), {
+    "node/404": { type: "public" },
+    "way/3": { duplicateOf: "way/405" },
+    "way/2": { type: "private", phone: "028 1" },
+  });
+  assert.equal(result.length, 4);
+  assert.deepEqual(report.applied, []);
+  assert.deepEqual(report.stale, [
+    { id: "node/404", reason: "no record with this id" },
+    { id: "way/3", reason: "duplicateOf way/405: no record with this id" },
+  ]);
+  assert.deepEqual(report.redundant, ["way/2"]);
+});
+
+test("a type override makes the classification certain, even when it agrees", () => {
+  const records = hospitals();
+  records[0].type = "public";
+  records[0].typeConfidence = 0.25;
+  const { hospitals: result, report } = applyOverrides(records, { "node/1": { type: "public" } });
+  assert.equal(result[0].typeConfidence, 1);
+  assert.deepEqual(result[0].typeReasons, ["set in overrides.json"]);
+  assert.deepEqual(report.redundant, []);
+});
+
+test("overridden fields win over hand edits when publishing", () => {
+  const current = [{ osmId: "node/1", name: "BV 175", type: "private", phone: "1", manual: ["phone", "type"] }];
+  const { hospitals: upstream } = applyOverrides(hospitals().slice(0, 1), { "node/1": { type: "public" } });
+  const [merged] = mergeRecords(current, upstream);
+  assert.equal(merged.type, "public");
+  assert.equal(merged.phone, "1");
+});
+
+test("overrides stage fails on an invalid file and writes its report", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hospital-overrides-"));
+  tempDirs.push(dir);
+  const file = path.join(dir, "overrides.json");
+  const reportFile = path.join(dir, "overrides-report.json");
+  const ctx = { dryRun: false, log: () => {} };
+
+  fs.writeFileSync(file, JSON.stringify({ "node/1": { type: "gov" } }));
+  assert.throws(() => run(hospitals(), ctx, { file, reportFile }), /Invalid overrides\.json:\n {2}node\/1: type/);
+
+  fs.writeFileSync(file, JSON.stringify({ "node/1": { type: "public" }, "node/9": { type: "private" } }));
+  run(hospitals(), { ...ctx, dryRun: true }, { file, reportFile });
+  assert.equal(fs.existsSync(reportFile), false);
+
+  const result = run(hospitals(), ctx, { file, reportFile });
+  assert.equal(result[0].type, "public");
+  const report = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+  assert.deepEqual(report.stale, [{ id: "node/9", reason: "no record with this id" }]);
+
+  // Without an overrides file nothing changes
+  assert.deepEqual(run(hospitals(), ctx, { file: path.join(dir, "missing.json") }), hospitals());
+});
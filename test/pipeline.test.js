@@ -0,0 +1,184 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runPipeline, readManifest, stageRange } = require("../scripts/pipeline.js");
+const { diffRecords, formatDiff } = require("../scripts/diff.js");
+const { STAGES, createStages } = require("../scripts/hospital-data.js");
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hospital-data-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+// Three small stages that count how often they run
+function fakeStages(dir) {
+  const runs = { source: 0, upper: 0, sorted: 0 };
+  const extra = path.join(dir, "extra.txt");
+  fs.writeFileSync(extra, "v1");
+  const stages = [
+    {
+      name: "source",
+      version: 1,
+      output: "source.json",
+      run: () => {
+        runs.source++;
+        return [{ name: "b" }, { name: "a" }];
+      },
+    },
+    {
+      name: "upper",
+      version: 1,
+      output: "upper.json",
+      inputs: [extra],
+      run: (records) => {
+        runs.upper++;
+        return records.map((h) => ({ ...h, name: h.name.toUpperCase() }));
+      },
+    },
+    {
+      name: "sorted",
+      version: 1,
+      output: "sorted.json",
+      run: (records) => {
+        runs.sorted++;
+        return [...records].sort((a, b) => a.name.localeCompare(b.name));
+      },
+    },
+  ];
+  return { stages, runs, extra };
+}
+
+const quiet = () => {};
+const readJSON = (file) => JSON.parse(fs.readFileSync(file, "utf-8"));
+
+test("stages run in order, each writing its artifact and a manifest entry", async () => {
+  const dir = tempDir();
+  const { stages } = fakeStages(dir);
+  await runPipeline(stages, { dir, log: quiet });
+
+  assert.deepEqual(readJSON(path.join(dir, "sorted.json")), [{ name: "A" }, { name: "B" }]);
+  const manifest = readManifest(path.join(dir, "manifest.json"));
+  assert.deepEqual(Object.keys(manifest.stages), ["source", "upper", "sorted"]);
+  assert.equal(manifest.stages.upper.version, 1);
+  assert.equal(manifest.stages.upper.count, 2);
+  assert.match(manifest.stages.upper.inputHash, /^[0-9a-f]{16}$/);
+});
+
+test("unchanged stages are skipped; a change reruns only what it affects", async () => {
+  const dir = tempDir();
+  const { stages, runs, extra } = fakeStages(dir);
+  await runPipeline(stages, { dir, log: quiet });
+  await runPipeline(stages, { dir, from: "upper", log: quiet });
+  assert.deepEqual(runs, { source: 1, upper: 1, sorted: 1 });
+
+  // A new version reruns the stage; the same output leaves the next one alone
+  stages[1].version = 2;
+  await runPipeline(stages, { dir, from: "upper", log: quiet });
+  assert.deepEqual(runs, { source: 1, upper: 2, sorted: 1 });
+
+  // So does an edited extra input
+  fs.writeFileSync(extra, "v2");
+  await runPipeline(stages, { dir, from: "upper", log: quiet });
+  assert.deepEqual(runs, { source: 1, upper: 3, sorted: 1 });
+
+  // A hand-edited artifact is rebuilt, and the stage after it reruns
+  fs.writeFileSync(path.join(dir, "upper.json"), JSON.stringify([{ name: "C" }]));
+  await runPipeline(stages, { dir, from: "upper", log: quiet });
+  assert.deepEqual(runs, { source: 1, upper: 4, sorted: 1 });
+  await runPipeline(stages, { dir, from: "sorted", log: quiet });
+  assert.deepEqual(runs, { source: 1, upper: 4, sorted: 1 });
+
+  await runPipeline(stages, { dir, force: true, log: quiet });
+  assert.deepEqual(runs, { source: 2, upper: 5, sorted: 2 });
+});
+
+test("--from needs the previous artifact unless --input names one", async () => {
+  const dir = tempDir();
+  const { stages, runs } = fakeStages(dir);
+  await assert.rejects(runPipeline(stages, { dir, from: "upper", log: quiet }), /source\.json not found/);
+
+  const input = path.join(dir, "seed.json");
+  fs.writeFileSync(input, JSON.stringify([{ name: "z" }]));
+  await runPipeline(stages, { dir, from: "upper", to: "upper", input, log: quiet });
+  assert.deepEqual(runs, { source: 0, upper: 1, sorted: 0 });
+  assert.deepEqual(readJSON(path.join(dir, "upper.json")), [{ name: "Z" }]);
+  assert.equal(fs.existsSync(path.join(dir, "sorted.json")), false);
+});
+
+test("a dry run writes nothing and reports the differences", async () => {
+  const dir = tempDir();
+  const { stages } = fakeStages(dir);
+  await runPipeline(stages, { dir, log: quiet });
+  const manifestBefore = fs.readFileSync(path.join(dir, "manifest.json"), "utf-8");
+
+  stages[0].version = 2;
+  stages[0].run = () => [{ name: "a" }, { name: "c" }];
+  const lines = [];
+  const results = await runPipeline(stages, { dir, dryRun: true, log: (line) => lines.push(line) });
+
+  assert.deepEqual(readJSON(path.join(dir, "source.json")), [{ name: "b" }, { name: "a" }]);
+  assert.equal(fs.readFileSync(path.join(dir, "manifest.json"), "utf-8"), manifestBefore);
+  const sorted = results.find((r) => r.stage === "sorted").diff;
+  assert.deepEqual(sorted.added.map((h) => h.name), ["C"]);
+  assert.deepEqual(sorted.removed.map((h) => h.name), ["B"]);
+  assert.ok(lines.includes("  1 added, 1 removed, 0 changed"));
+});
+
+test("stage names are checked", () => {
+  const { stages } = fakeStages(tempDir());
+  assert.deepEqual(stageRange(stages, "upper").map((s) => s.name), ["upper", "sorted"]);
+  assert.throws(() => stageRange(stages, "nope"), /Unknown stage "nope"/);
+  assert.throws(() => stageRange(stages, "sorted", "source"), /comes after/);
+});
+
+test("the CLI's stages go from raw OSM to the published dataset", () => {
+  assert.deepEqual(STAGES.map((s) => s.name), ["fetch", "dedupe", "geocode", "normalize", "admin", "overrides", "publish"]);
+  assert.ok(STAGES.every((s) => Number.isInteger(s.version) && typeof s.run === "function"));
+});
+
+test("the CLI's stages write their reports into a pipeline directory that doesn't exist yet", async () => {
+  const dir = path.join(tempDir(), "pipeline");
+  const overpass = (file) => path.join(__dirname, "fixtures", "overpass", file);
+  const stages = (file) => createStages({ dir, overpass: overpass(file) });
+
+  await runPipeline(stages("sync-1.json"), { dir, to: "dedupe", log: quiet });
+  assert.ok(fs.existsSync(path.join(dir, "dedupe-report.json")));
+  // The second fetch has one to compare against
+  await runPipeline(stages("sync-2.json"), { dir, to: "fetch", log: quiet });
+  assert.ok(fs.existsSync(path.join(dir, "sync-report.json")));
+
+  const fresh = path.join(tempDir(), "pipeline");
+  await runPipeline(createStages({ dir: fresh }), {
+    dir: fresh,
+    from: "overrides",
+    to: "overrides",
+    input: path.join(dir, "deduped.json"),
+    log: quiet,
+  });
+  assert.ok(fs.existsSync(path.join(fresh, "overrides-report.json")));
+});
+
+test("diffRecords() reports field changes, ignoring the *Ascii mirrors", () => {
+  const before = [
+    { name: "BV A", mapsUrl: "q=1,1", city: "", cityAscii: "" },
+    { name: "BV B", mapsUrl: "q=2,2" },
+  ];
+  const after = [
+    { name: "BV A", mapsUrl: "q=1,1", city: "Hà Nội", cityAscii: "ha noi" },
+    { name: "BV C", mapsUrl: "q=3,3" },
+  ];
+  const diff = diffRecords(before, after);
+  assert.deepEqual(diff.changed.map((c) => c.fields), [["city"]]);
+  assert.deepEqual(formatDiff(diff), [
+    "1 added, 1 removed, 1 changed",
+    "+ BV C",
+    "- BV B",
+    '~ BV A: city "" → "Hà Nội"',
+  ]);
+});
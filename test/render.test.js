@@ -0,0 +1,187 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers/app-dom.js");
+
+// The records init() prepared (ids, kinds, coords), from the page's own scope
+const loadedHospitals = (window) => window.eval("allHospitals");
+
+const cardNames = (list) => Array.from(list.querySelectorAll(".card .detail-link"), (a) => a.textContent);
+
+test("render() splits results into public and private columns, unclassified with the public", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  window.render(loadedHospitals(window));
+
+  assert.equal(document.getElementById("publicCount").textContent, "7");
+  assert.equal(document.getElementById("privateCount").textContent, "3");
+  assert.deepEqual(cardNames(document.getElementById("privateList")), [
+    "Bệnh viện Hồng Ngọc",
+    "Bệnh viện FV",
+    "Bệnh viện Quốc tế City",
+  ]);
+  const publicList = document.getElementById("publicList");
+  assert.ok(cardNames(publicList).includes("Phòng khám An Khang"));
+  assert.equal(document.getElementById("resultSummary").textContent, "10 bệnh viện");
+  assert.ok(document.getElementById("emptyState").classList.contains("hidden"));
+  window.close();
+});
+
+test("render() hides what has nothing to show", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const publicOnly = loadedHospitals(window).filter((h) => h.type === "public");
+  window.render(publicOnly);
+  assert.ok(document.getElementById("privateCol").classList.contains("hidden"));
+  assert.ok(document.querySelector(".results-container").classList.contains("single-column"));
+
+  window.render([]);
+  assert.ok(document.getElementById("resultBar").classList.contains("hidden"));
+  const empty = document.getElementById("emptyState");
+  assert.ok(!empty.classList.contains("hidden"));
+  assert.equal(empty.querySelector("p").textContent, "Không tìm thấy bệnh viện phù hợp.");
+  window.close();
+});
+
+test("long columns are shown a page at a time", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const [template] = loadedHospitals(window);
+  const many = Array.from({ length: 120 }, (_, i) => ({ ...template, id: `bv-${i}`, name: `Bệnh viện ${i}` }));
+  window.render(many);
+
+  const list = document.getElementById("publicList");
+  assert.equal(list.querySelectorAll(".card").length, 50);
+  let more = list.querySelector(".more-btn");
+  assert.equal(more.textContent, "Xem thêm 50 (còn 70 bệnh viện)");
+
+  more.click();
+  assert.equal(list.querySelectorAll(".card").length, 100);
+  more = list.querySelector(".more-btn");
+  assert.equal(more.textContent, "Xem thêm 20 (còn 20 bệnh viện)");
+
+  more.click();
+  assert.equal(list.querySelectorAll(".card").length, 120);
+  assert.equal(list.querySelector(".more-btn"), null);
+  window.close();
+});
+
+test("paging through a long column keeps at most three pages in the DOM", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const [template] = loadedHospitals(window);
+  const many = Array.from({ length: 260 }, (_, i) => ({ ...template, id: `bv-${i}`, name: `Bệnh viện ${i}` }));
+  window.render(many);
+
+  const list = document.getElementById("publicList");
+  const shown = () => cardNames(list).map((name) => Number(name.split(" ").pop()));
+  const button = (dir) => list.querySelector(`.more-btn[data-dir="${dir}"]`);
+  button("next").click();
+  button("next").click();
+  button("next").click();
+  // The first page made way for the fourth
+  assert.deepEqual([shown()[0], shown().at(-1), shown().length], [50, 199, 150]);
+  assert.equal(document.activeElement.textContent, "Bệnh viện 150");
+  assert.equal(button("prev").textContent, "Xem 50 bệnh viện trước");
+
+  button("prev").click();
+  assert.deepEqual([shown()[0], shown().at(-1), shown().length], [0, 149, 150]);
+  assert.equal(button("prev"), null);
+
+  // A card far down the list is shown with its own page only
+  window.eval(`scrollToCard("bv-230")`);
+  assert.deepEqual([shown()[0], shown().at(-1)], [200, 249]);
+  assert.ok(button("prev") && button("next"));
+  window.close();
+});
+
+test("record fields are rendered as text, never as markup", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const [template] = loadedHospitals(window);
+  window.render([
+    {
+      ...template,
+      id: "xss",
+      name: 'Bệnh viện <img src=x onerror="window.pwned=1">',
+      phone: '<b>024</b>"',
+      website: 'https://example.com/" onclick="window.pwned=1',
+    },
+  ]);
+
+  const card = document.querySelector("#publicList .card");
+  assert.equal(card.querySelector("img"), null);
+  assert.equal(card.querySelector("b"), null);
+  assert.equal(card.querySelector(".detail-link").textContent, 'Bệnh viện <img src=x onerror="window.pwned=1">');
+  assert.equal(card.querySelector(".phone-link").textContent, '<b>024</b>"');
+  const website = Array.from(card.querySelectorAll("a")).find((a) => a.href.startsWith("https://example.com"));
+  assert.equal(website.getAttribute("onclick"), null);
+  assert.equal(window.pwned, undefined);
+  window.close();
+});
+
+test("doubtful public/private guesses are badged on cards and in the detail view", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  window.render(loadedHospitals(window));
+
+  const badges = Object.fromEntries(
+    Array.from(document.querySelectorAll(".card .type-uncertain"), (el) => [
+      el.closest(".card").querySelector(".detail-link").textContent,
+      el,
+    ]),
+  );
+  assert.deepEqual(Object.keys(badges).sort(), ["Bệnh viện Đà Nẵng", "Phòng khám An Khang", "Phòng khám Đa khoa Việt Úc"]);
+  assert.equal(badges["Bệnh viện Đà Nẵng"].textContent, "Chưa chắc chắn");
+  assert.match(badges["Bệnh viện Đà Nẵng"].title, /có thể chưa chính xác/);
+  // Unclassified records sit in the public column, badged as such
+  assert.equal(badges["Phòng khám An Khang"].textContent, "Chưa phân loại");
+
+  const daNang = loadedHospitals(window).find((h) => h.name === "Bệnh viện Đà Nẵng");
+  window.eval(`openDetail(${JSON.stringify(daNang.id)})`);
+  const detail = document.getElementById("detailBody");
+  assert.ok(detail.querySelector(".detail-header .type-uncertain"));
+  // The detail view names the type already
+  const anKhang = loadedHospitals(window).find((h) => h.name === "Phòng khám An Khang");
+  window.eval(`openDetail(${JSON.stringify(anKhang.id)})`);
+  assert.equal(detail.querySelector(".type-uncertain"), null);
+  // Shown as the badge, not as a raw field
+  assert.ok(!detail.textContent.includes("typeConfidence"));
+  window.close();
+});
+
+test("a position that arrives after \"Gần tôi\" was switched off is ignored", async () => {
+  const window = await loadApp();
+  const { document } = window;
+  const pending = [];
+  Object.defineProperty(window.navigator, "geolocation", {
+    value: { getCurrentPosition: (success) => pending.push(success) },
+  });
+  const nearMe = document.getElementById("nearMeBtn");
+
+  nearMe.click();
+  nearMe.click();
+  pending[0]({ coords: { latitude: 21.0285, longitude: 105.8542 } });
+  assert.equal(window.eval("userLocation"), null);
+  assert.notEqual(window.eval("sortMode"), "distance");
+
+  // Switched on again: only the latest request counts
+  nearMe.click();
+  pending[1]({ coords: { latitude: 10.7769, longitude: 106.7009 } });
+  assert.deepEqual({ ...window.eval("userLocation") }, { lat: 10.7769, lon: 106.7009 });
+  assert.equal(window.eval("sortMode"), "distance");
+  window.close();
+});
+
+test("links to and favorites of a record merged into another lead to that record", async () => {
+  const window = await loadApp({ search: "?hospital=bv-bach-mai-co-so-cu-1x2y3z" });
+  const { document } = window;
+  const bachMai = loadedHospitals(window).find((h) => h.name === "Bệnh viện Bạch Mai");
+  assert.equal(window.eval("detailId"), bachMai.id);
+  assert.equal(document.getElementById("detailTitle").textContent, "Bệnh viện Bạch Mai");
+  assert.ok(!document.getElementById("detailBody").textContent.includes("formerIds"));
+
+  window.localStorage.setItem("hospital-search:favorites", JSON.stringify([{ id: "bv-bach-mai-co-so-cu-1x2y3z", name: "BV Bạch Mai cơ sở cũ" }]));
+  window.eval("favorites = loadFavorites(); syncFavorites()");
+  assert.deepEqual(Array.from(window.eval("favoriteHospitals()"), (h) => h.id), [bachMai.id]);
+  window.close();
+});
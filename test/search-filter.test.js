@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const SearchFilter = require("../search-filter.js");
+const createSearchEngine = require("../search-engine.js");
+const FIXTURE = require("./fixtures/hospitals.json");
+
+const OLD = { province: "oldProvince", district: "oldDistrict" };
+const NEW = { province: "newProvince", district: "newWard" };
+
+// Records the way init() in app.js prepares them
+function loadHospitals() {
+  return FIXTURE.map((h) => {
+    const record = { ...h, id: h.name, specialties: h.specialties || [] };
+    record.kinds = SearchFilter.classifyKinds(record);
+    return record;
+  });
+}
+
+const names = (hospitals) => hospitals.map((h) => h.name);
+
+function filters({ types = [], kinds = [], specialties = [] } = {}) {
+  return { types: new Set(types), kinds: new Set(kinds), specialties: new Set(specialties) };
+}
+
+test("classifyKinds() tags general, specialty and military hospitals", () => {
+  const kinds = (name, specialties = []) => SearchFilter.classifyKinds({ name, specialties });
+  assert.deepEqual(kinds("Bệnh viện Đa khoa tỉnh Quảng Nam"), ["general"]);
+  assert.deepEqual(kinds("Bệnh viện Nhi Trung ương", ["pediatrics"]), ["specialty"]);
+  assert.deepEqual(kinds("Bệnh viện Chuyên khoa Mắt"), ["specialty"]);
+  assert.deepEqual(kinds("Bệnh viện 175"), ["military"]);
+  assert.deepEqual(kinds("Bệnh viện Quân y 103", ["orthopedics"]), ["specialty", "military"]);
+  assert.deepEqual(kinds("Bệnh viện Bạch Mai"), []);
+});
+
+test("filterByChips() treats empty chip groups as 'any' and ORs within a group", () => {
+  const hospitals = loadHospitals();
+  assert.equal(SearchFilter.filterByChips(hospitals, filters()).length, hospitals.length);
+  assert.deepEqual(names(SearchFilter.filterByChips(hospitals, filters({ types: ["private"] }))), [
+    "Bệnh viện Hồng Ngọc",
+    "Bệnh viện FV",
+    "Bệnh viện Quốc tế City",
+  ]);
+  assert.deepEqual(
+    names(SearchFilter.filterByChips(hospitals, filters({ specialties: ["pediatrics", "obstetrics"] }))),
+    ["Bệnh viện Nhi Trung ương", "Bệnh viện Từ Dũ"],
+  );
+  // Groups combine with AND
+  assert.deepEqual(
+    names(SearchFilter.filterByChips(hospitals, filters({ types: ["private"], specialties: ["pediatrics"] }))),
+    [],
+  );
+});
+
+test("chipCounts() counts each group against the other groups' selections", () => {
+  const hospitals = loadHospitals();
+  const counts = SearchFilter.chipCounts(hospitals, filters({ types: ["public"] }));
+  // Type counts ignore the type selection itself
+  assert.deepEqual(counts.type, { public: 5, private: 3, unclassified: 2 });
+  // Specialty counts respect it
+  assert.deepEqual(counts.specialty, { pediatrics: 1, obstetrics: 1 });
+});
+
+test("filterByRadius() keeps hospitals with coordinates inside the radius", () => {
+  const hospitals = [{ name: "near", km: 2 }, { name: "far", km: 12 }, { name: "unknown", km: null }];
+  const distanceTo = (h) => h.km;
+  assert.deepEqual(names(SearchFilter.filterByRadius(hospitals, distanceTo, 5)), ["near"]);
+  assert.equal(SearchFilter.filterByRadius(hospitals, distanceTo, 0), hospitals);
+});
+
+test("search engine filters by old or new admin units", () => {
+  const hospitals = loadHospitals();
+  const engine = createSearchEngine(hospitals, null, {});
+  const search = (request) => engine.search({ query: "", province: "", district: "", fields: OLD, ...request }).ids;
+
+  assert.equal(search({}).length, hospitals.length);
+  assert.deepEqual(search({ province: "Hồ Chí Minh", district: "Quận 7" }), [
+    "Bệnh viện FV",
+    "Phòng khám An Khang",
+  ]);
+  assert.deepEqual(search({ province: "Hà Nội", district: "Kim Liên", fields: NEW }), ["Bệnh viện Bạch Mai"]);
+  assert.deepEqual(search({ province: "Hà Nội", district: "Kim Liên" }), []);
+});
+
+test("search engine matches without diacritics and keeps highlights for kept ids only", () => {
+  const engine = createSearchEngine(loadHospitals(), null, {});
+  const { ids, matches } = engine.search({ query: "tu du", province: "", district: "", fields: OLD });
+  assert.equal(ids[0], "Bệnh viện Từ Dũ");
+
+  const filtered = engine.search({ query: "benh vien", province: "Đà Nẵng", district: "", fields: OLD });
+  assert.deepEqual(filtered.ids, ["Bệnh viện Đà Nẵng"]);
+  assert.deepEqual(filtered.matches.map(([id]) => id), filtered.ids);
+});
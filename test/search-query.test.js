@@ -0,0 +1,90 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildQueryVocabulary, parseSearchQuery } = require("../search-query.js");
+
+const HCM = { oldProvince: "Hồ Chí Minh", newProvince: "Hồ Chí Minh" };
+const vocab = buildQueryVocabulary([
+  { name: "Bệnh viện Đa khoa Sài Gòn", oldDistrict: "Quận 1", newWard: "Bến Thành", ...HCM },
+  { name: "Bệnh viện Quận 7", oldDistrict: "Quận 7", newWard: "Tân Thuận", ...HCM },
+  { name: "Bệnh viện Mắt Sài Gòn", oldDistrict: "Quận 3", newWard: "Xuân Hòa", ...HCM },
+  { name: "Bệnh viện Đà Nẵng", oldDistrict: "Hải Châu", newWard: "Hải Châu", oldProvince: "Đà Nẵng", newProvince: "Đà Nẵng" },
+]);
+const parse = (query) => parseSearchQuery(query, vocab, { admin: "old", province: "", switchAdmin: true });
+
+test("parseSearchQuery() turns place and type words into filters", () => {
+  assert.deepEqual(parse("bệnh viện tư quận 7"), {
+    text: "",
+    admin: "old",
+    province: "Hồ Chí Minh",
+    district: "Quận 7",
+    types: ["private"],
+  });
+  assert.equal(parse("Đà Nẵng").province, "Đà Nẵng");
+  assert.equal(parse("sài gòn").province, "Hồ Chí Minh");
+});
+
+test("parseSearchQuery() leaves a hospital's name whole", () => {
+  const parsed = parse("bệnh viện đa khoa sài gòn");
+  assert.equal(parsed.text, "bệnh viện đa khoa sài gòn");
+  assert.equal(parsed.province, "");
+  assert.equal(parse("BV Mắt Sài Gòn").province, "");
+  // Words that are no hospital's name still filter
+  const mixed = parse("mắt sài gòn tư");
+  assert.equal(mixed.text, "mắt");
+  assert.equal(mixed.province, "Hồ Chí Minh");
+});
+
+test("parseSearchQuery() reads quoted operator values, closed or still being typed", () => {
+  assert.deepEqual(parse('tinh:"Đà Nẵng" nhi'), {
+    text: "nhi",
+    admin: "old",
+    province: "Đà Nẵng",
+    district: "",
+    types: [],
+  });
+  assert.equal(parse('tinh:"Đà Nẵng').province, "Đà Nẵng");
+  assert.equal(parse('quan:"quận 7"').district, "Quận 7");
+  assert.equal(parse('phuong:"Bến Thành"').district, "Bến Thành");
+});
+
+test("parseSearchQuery() turns field prefixes into filters and keeps unknown ones as text", () => {
+  assert.equal(parse("quan:7").district, "Quận 7");
+  assert.equal(parse("TINH:da-nang").province, "Đà Nẵng");
+  // Wards exist in the 34-province mode only
+  const ward = parse("phuong:ben-thanh");
+  assert.equal(ward.admin, "new");
+  assert.equal(ward.district, "Bến Thành");
+  assert.deepEqual(parse("loai:tu").types, ["private"]);
+  assert.deepEqual(parse('loai:"chưa phân loại"').types, ["unclassified"]);
+  for (const query of ["loai:xyz", "quan:99", "foo:bar"]) {
+    assert.deepEqual(parse(query), { text: query, admin: "old", province: "", district: "", types: [] });
+  }
+});
+
+test("parseSearchQuery() never turns negated words into filters", () => {
+  for (const query of ["-tư", "-quận 7", '-"sài gòn"', "-tinh:da-nang"]) {
+    assert.deepEqual(parse(query), { text: query, admin: "old", province: "", district: "", types: [] });
+  }
+  // The words around them still count
+  const parsed = parse("-tư quận 7");
+  assert.equal(parsed.text, "-tư");
+  assert.equal(parsed.district, "Quận 7");
+});
+
+test("parseSearchQuery() leaves empty and malformed input alone", () => {
+  const none = { admin: "old", province: "", district: "", types: [] };
+  assert.deepEqual(parse(""), { text: "", ...none });
+  assert.deepEqual(parse("   "), { text: "", ...none });
+  for (const query of ['""', "tinh:", 'tinh:""', ":::", "quan:"]) {
+    assert.deepEqual(parse(query), { text: query, ...none });
+  }
+});
+
+test("parseSearchQuery() matches places typed with or without diacritics", () => {
+  assert.equal(parse("da nang").province, "Đà Nẵng");
+  assert.equal(parse("QUAN 7").district, "Quận 7");
+  assert.equal(parse("Đà Nẵng").province, "Đà Nẵng");
+  assert.equal(parse("da Nẵng").province, "Đà Nẵng");
+  // Diacritics that were typed have to match: "đà nắng" is no place
+  assert.deepEqual(parse("đà nắng"), { text: "đà nắng", admin: "old", province: "", district: "", types: [] });
+});
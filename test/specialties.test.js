@@ -0,0 +1,22 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { deriveSpecialties } = require("../scripts/specialties.js");
+
+test("deriveSpecialties() reads names and OSM speciality tags", () => {
+  assert.deepEqual(deriveSpecialties("Bệnh viện Chỉnh hình và Phục hồi chức năng Hà Nội"), ["orthopedics", "rehabilitation"]);
+  assert.deepEqual(deriveSpecialties("Benh vien Mat Sai Gon"), ["ophthalmology"]);
+  assert.deepEqual(deriveSpecialties("Bệnh viện Răng Hàm Mặt"), ["dentistry"]);
+  assert.deepEqual(deriveSpecialties("Phòng khám Bình An", "paediatrics; trauma"), ["pediatrics", "orthopedics"]);
+});
+
+test("deriveSpecialties() keeps burns and emergency care out of orthopedics", () => {
+  assert.deepEqual(deriveSpecialties("Bệnh viện Bỏng Quốc gia Lê Hữu Trác"), ["burns"]);
+  assert.deepEqual(deriveSpecialties("Trung tâm cấp cứu 115", "emergency"), []);
+});
+
+test("deriveSpecialties() needs more than the word \"tim\" for cardiology", () => {
+  assert.deepEqual(deriveSpecialties("Bệnh viện Tim Hà Nội"), ["cardiology"]);
+  assert.deepEqual(deriveSpecialties("Viện Tim Thành phố Hồ Chí Minh"), ["cardiology"]);
+  assert.deepEqual(deriveSpecialties("Bệnh viện Tim mạch An Giang"), ["cardiology"]);
+  assert.deepEqual(deriveSpecialties("Phòng khám Tim Sen"), []);
+});
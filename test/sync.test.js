@@ -0,0 +1,168 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { toHospitals, run: fetchStage } = require("../scripts/fetch-osm.js");
+const { markManual, mergeRecords, syncReport } = require("../scripts/sync.js");
+const { csvToHospitals } = require("../scripts/csv-to-json.js");
+const { COLUMNS, hospitalsToCSV } = require("../scripts/json-to-csv.js");
+const { toCSV } = require("../scripts/csv.js");
+const { hospitalId } = require("../hospital-id.js");
+
+const OVERPASS = path.join(__dirname, "fixtures", "overpass");
+const elements = (file) => JSON.parse(fs.readFileSync(path.join(OVERPASS, file), "utf8")).elements;
+const byOsmId = (records) => Object.fromEntries(records.map((h) => [h.osmId, h]));
+
+const tempDirs = [];
+after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+test("toHospitals() keeps the OSM element id of each facility", () => {
+  const hospitals = toHospitals(elements("sync-1.json"));
+  // The parking lot is skipped; the second Bạch Mai is left to the dedupe stage
+  assert.deepEqual(hospitals.map((h) => h.osmId).sort(), ["node/101", "node/505", "relation/303", "way/202"]);
+  const choRay = byOsmId(hospitals)["node/101"];
+  assert.equal(choRay.type, "public");
+  assert.equal(choRay.address, "201B Nguyễn Chí Thanh, Quận 5, Hồ Chí Minh");
+  assert.equal(byOsmId(hospitals)["way/202"].mapsUrl, "https://www.google.com/maps/search/?api=1&query=21.0006,105.8412");
+});
+
+test("syncReport() lists added, removed and changed facilities by OSM id", () => {
+  const report = syncReport(toHospitals(elements("sync-1.json")), toHospitals(elements("sync-2.json")));
+  assert.deepEqual(report.added, [{ osmId: "way/606", name: "Bệnh viện Đà Nẵng", city: "Đà Nẵng" }]);
+  assert.deepEqual(report.removed.map((h) => h.osmId).sort(), ["node/505", "relation/303"]);
+  assert.deepEqual(byOsmId(report.changed)["node/101"].changes, { phone: ["028 3855 4137", "028 3855 4138"] });
+  assert.deepEqual(byOsmId(report.changed)["way/202"].changes, { website: ["", "https://bachmai.gov.vn"] });
+});
+
+test("fetch stage reads a saved response and writes the sync report", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hospital-sync-"));
+  tempDirs.push(dir);
+  const reportFile = path.join(dir, "sync-report.json");
+  const options = { responseFile: path.join(OVERPASS, "sync-2.json"), reportFile };
+  const previous = toHospitals(elements("sync-1.json"));
+
+  // First sync: nothing to compare against, no report
+  await fetchStage(null, { dryRun: false, log: () => {}, previous: null }, options);
+  assert.equal(fs.existsSync(reportFile), false);
+
+  await fetchStage(null, { dryRun: true, log: () => {}, previous }, options);
+  assert.equal(fs.existsSync(reportFile), false);
+
+  const hospitals = await fetchStage(null, { dryRun: false, log: () => {}, previous }, options);
+  assert.equal(hospitals.length, 3);
+  const report = JSON.parse(fs.readFileSync(reportFile, "utf8"));
+  assert.ok(report.syncedAt);
+  assert.equal(report.added.length, 1);
+  assert.equal(report.removed.length, 2);
+  assert.equal(report.changed.length, 2);
+});
+
+test("markManual() records only the fields that changed", () => {
+  const record = { name: "BV A", phone: "1", manual: ["website"] };
+  assert.deepEqual(markManual(record, { name: "BV A", phone: "2" }), ["phone"]);
+  assert.deepEqual(record, { name: "BV A", phone: "2", manual: ["phone", "website"] });
+  assert.deepEqual(markManual(record, { phone: "2" }), []);
+});
+
+test("mergeRecords() follows upstream but keeps manual edits and hand-added records", () => {
+  const current = toHospitals(elements("sync-1.json"));
+  const choRay = byOsmId(current)["node/101"];
+  markManual(choRay, { phone: "1900 1234", name: "BV Chợ Rẫy (cơ sở chính)" });
+  const added = { name: "Phòng khám Tâm Đức", type: "private", city: "Hà Nội", district: "", mapsUrl: "" };
+  markManual(added, { phone: "024 1111" });
+  current.push(added);
+
+  const result = mergeRecords(current, toHospitals(elements("sync-2.json")));
+  const merged = byOsmId(result);
+  assert.deepEqual(result.map((h) => h.osmId || h.name).sort(), ["Phòng khám Tâm Đức", "node/101", "way/202", "way/606"]);
+  assert.equal(merged["node/101"].phone, "1900 1234");
+  assert.equal(merged["node/101"].name, "BV Chợ Rẫy (cơ sở chính)");
+  assert.equal(merged["node/101"].nameAscii, "bv cho ray (co so chinh)");
+  assert.deepEqual(merged["node/101"].manual, ["name", "phone"]);
+  // Fields nobody edited follow upstream
+  assert.equal(merged["way/202"].website, "https://bachmai.gov.vn");
+  assert.equal(result.find((h) => !h.osmId).phone, "024 1111");
+});
+
+test("mergeRecords() gives records from before osmIds their OSM id and keeps their edits", () => {
+  // The dataset as it was: no osmIds, one record edited by hand
+  const current = toHospitals(elements("sync-1.json")).map(({ osmId, ...h }) => h);
+  const choRay = current.find((h) => h.name === "Bệnh viện Chợ Rẫy");
+  const linkId = hospitalId(choRay);
+  const [edited] = csvToHospitals(toCSV(COLUMNS, [{ ...choRay, id: linkId, name: "BV Chợ Rẫy", phone: "1900 1234" }]), [choRay]);
+  assert.deepEqual(edited.manual, ["name", "phone"]);
+
+  const result = mergeRecords([...current.filter((h) => h !== choRay), edited], toHospitals(elements("sync-2.json")));
+  const merged = byOsmId(result);
+  assert.deepEqual(result.map((h) => h.osmId).sort(), ["node/101", "way/202", "way/606"]);
+  assert.equal(merged["node/101"].name, "BV Chợ Rẫy");
+  assert.equal(merged["node/101"].phone, "1900 1234");
+  assert.equal(hospitalId(merged["node/101"]), linkId);
+});
+
+test("mergeRecords() gives every record a stable id", () => {
+  const current = toHospitals(elements("sync-1.json"));
+  const bachMaiId = hospitalId(byOsmId(current)["way/202"]);
+  const upstream = toHospitals(elements("sync-2.json"));
+  byOsmId(upstream)["way/202"].name = "Bệnh viện Bạch Mai (Trung ương)";
+
+  const merged = byOsmId(mergeRecords(current, upstream));
+  assert.equal(merged["way/202"].id, bachMaiId);
+  assert.equal(merged["way/202"].name, "Bệnh viện Bạch Mai (Trung ương)");
+  assert.equal(merged["way/606"].id, hospitalId(byOsmId(upstream)["way/606"]));
+  assert.equal(Object.keys(merged["way/606"])[0], "id");
+});
+
+test("csvToHospitals() marks edited cells on the matching record and keeps other fields", () => {
+  const existing = toHospitals(elements("sync-1.json"));
+  existing[0].aliases = ["BV thử"];
+  const rows = existing.map((h) => ({ ...h }));
+  const bachMai = rows.find((h) => h.osmId === "way/202");
+  bachMai.phone = "024 3869 3731";
+  rows.push({ name: "Phòng khám Tâm Đức", type: "private", city: "Hà Nội", district: "Ba Đình" });
+
+  const imported = csvToHospitals(toCSV(COLUMNS, rows), existing);
+  const records = byOsmId(imported);
+  assert.equal(imported.length, existing.length + 1);
+  assert.deepEqual(records["way/202"].manual, ["phone"]);
+  assert.equal(records["way/202"].phone, "024 3869 3731");
+  assert.equal(records["node/101"].manual, undefined);
+  assert.deepEqual(records[existing[0].osmId].aliases, ["BV thử"]);
+  assert.deepEqual(records[existing[0].osmId].specialties, existing[0].specialties);
+
+  const handAdded = imported.find((h) => h.name === "Phòng khám Tâm Đức");
+  assert.deepEqual(handAdded.manual, ["city", "district", "name", "type"]);
+  assert.equal(handAdded.nameAscii, "phong kham tam duc");
+  // Rows deleted from the sheet are dropped
+  assert.equal(csvToHospitals(toCSV(COLUMNS, rows.slice(1)), existing).length, existing.length);
+});
+
+test("csvToHospitals() keeps a record renamed or moved in the sheet", () => {
+  const existing = toHospitals(elements("sync-1.json")).map(({ osmId, ...h }) => h);
+  existing[0].aliases = ["BV thử"];
+  existing[1].address += " ";
+  const original = existing[0];
+  // The sheet as exported, with the first record renamed and moved
+  const [header, ...lines] = hospitalsToCSV(existing).split("\n");
+  const row = { ...original, id: hospitalId(original), name: "Bệnh viện đổi tên" };
+  row.mapsUrl = "https://www.google.com/maps/search/?api=1&query=10.1,106.1";
+  lines[0] = toCSV(COLUMNS, [row]).split("\n")[1];
+
+  const imported = csvToHospitals([header, ...lines].join("\n"), existing);
+  assert.equal(imported.length, existing.length);
+  const renamed = imported.find((h) => h.name === "Bệnh viện đổi tên");
+  assert.deepEqual(renamed.manual, ["mapsUrl", "name"]);
+  assert.deepEqual(renamed.aliases, ["BV thử"]);
+  assert.deepEqual(renamed.specialties, original.specialties);
+  assert.equal(renamed.typeConfidence, original.typeConfidence);
+  // Links and favorites keep working
+  assert.equal(renamed.id, hospitalId(original));
+  assert.equal(hospitalId(renamed), hospitalId(original));
+  // The others are unchanged
+  assert.equal(imported.filter((h) => h.manual).length, 1);
+
+  // A sheet exported before the id column still matches unedited rows
+  const oldSheet = toCSV(COLUMNS.filter((col) => col !== "id"), existing);
+  assert.ok(csvToHospitals(oldSheet, existing).every((h) => !h.manual));
+});